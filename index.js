@@ -9,34 +9,77 @@ import clientRoutes from "./routes/clients.js";
 import portfolioRoutes from "./routes/portfolio.js";
 import contactRoutes from "./routes/contacts.js";
 import teamRoutes from "./routes/team.js";
+import authRoutes from "./routes/auth.js";
+import roleRoutes from "./routes/roles.js";
+import userRoutes from "./routes/users.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import auditRoutes from "./routes/audit.js";
+import assignmentRuleRoutes from "./routes/assignmentRules.js";
+import emailTemplateRoutes from "./routes/emailTemplates.js";
+import leadScoringRoutes from "./routes/leadScoring.js";
+import privacyRoutes from "./routes/privacy.js";
+import savedViewRoutes from "./routes/savedViews.js";
+import formOptionRoutes from "./routes/formOptions.js";
+import { authenticate, protectWrites, protectAllExcept } from "./middleware/auth.js";
+import { ensureDefaultRoles } from "./utils/permissions.js";
+import { parseTrustProxy } from "./utils/clientIp.js";
+import { rejectOperatorKeys } from "./middleware/sanitize.js";
+import { startSlaMonitor } from "./utils/sla.js";
+import { startRetentionJob } from "./utils/privacy.js";
+import { ensureDefaultFormOptions } from "./utils/formOptions.js";
+import { backfillDedupeKeys } from "./utils/duplicates.js";
 
 dotenv.config();
 
 const app = express();
+// Only trust X-Forwarded-For from known proxies (e.g. TRUST_PROXY=1 behind one load balancer)
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
 app.use(cors({
   origin: [
     'http://localhost:8001',
     'https://kayease-beta.vercel.app'
   ],
-  credentials: true // if you use cookies/auth
+  credentials: true, // if you use cookies/auth
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 app.use(express.json({ limit: "100mb" }));
+app.use(rejectOperatorKeys);
 
 app.get("/api/health", (req, res) => {
   res.json({ status: "ok", message: "Server is running." });
 });
 
-app.use("/api/blogs", blogRoutes);
-app.use("/api/cloudinary", cloudinaryRoutes);
-app.use("/api/careers", careerRoutes);
-app.use("/api/clients", clientRoutes);
-app.use("/api/portfolio", portfolioRoutes);
-app.use("/api/contacts", contactRoutes);
-app.use("/api/team", teamRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/admin/roles", authenticate, roleRoutes);
+app.use("/api/admin/users", authenticate, userRoutes);
+app.use("/api/admin/api-keys", authenticate, apiKeyRoutes);
+app.use("/api/audit", authenticate, auditRoutes);
+app.use("/api/admin/email-templates", authenticate, emailTemplateRoutes);
+app.use("/api/admin/privacy", authenticate, privacyRoutes);
+
+// Public reads stay open, mutations and the contacts admin API require a token
+app.use("/api/blogs", protectWrites, blogRoutes);
+app.use("/api/cloudinary", authenticate, cloudinaryRoutes);
+app.use("/api/careers", protectWrites, careerRoutes);
+app.use("/api/clients", protectWrites, clientRoutes);
+app.use("/api/portfolio", protectWrites, portfolioRoutes);
+// Mounted before the contacts router so "/assignment-rules" is not taken for a contact ID
+app.use("/api/contacts/assignment-rules", authenticate, assignmentRuleRoutes);
+app.use("/api/contacts/scoring", authenticate, leadScoringRoutes);
+app.use("/api/contacts/views", authenticate, savedViewRoutes);
+app.use("/api/contacts", protectAllExcept("POST /", "POST /inbound"), contactRoutes);
+app.use("/api/team", protectWrites, teamRoutes);
+// The contact form reads its choices here; managing them requires a token
+app.use("/api/form-options", protectAllExcept("GET /"), formOptionRoutes);
 
 const MONGO_URI = process.env.MONGO_URI;
 mongoose.connect(MONGO_URI)
   .then(() => console.log("MongoDB connected✅✅"))
+  .then(() => ensureDefaultRoles())
+  .then(() => ensureDefaultFormOptions())
+  .then(() => backfillDedupeKeys())
+  .then(() => startSlaMonitor())
+  .then(() => startRetentionJob())
   .catch((err) => console.error("MongoDB connection error❌❌:", err));
 
 const PORT = process.env.PORT || 5000;
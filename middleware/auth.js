@@ -0,0 +1,109 @@
+import AdminUser from "../models/AdminUser.js";
+import { verifyAccessToken } from "../utils/auth.js";
+import { hasPermission } from "../utils/permissions.js";
+import { isTwoFactorRequired } from "../utils/twoFactor.js";
+import { verifyApiKey, scopeToPermission } from "../utils/apiKeys.js";
+
+const PUBLIC_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Authenticate a machine client from the X-API-Key header; its scopes become permissions
+const verifyApiKeyHeader = async (req, res, next) => {
+  const { apiKey, error } = await verifyApiKey(String(req.headers["x-api-key"]), req.ip);
+  if (error) {
+    return res.status(401).json({ error });
+  }
+
+  req.apiKey = apiKey;
+  req.permissions = apiKey.scopes.map(scopeToPermission);
+  next();
+};
+
+// Require a valid "Authorization: Bearer <token>" header and load the admin user,
+// or a valid X-API-Key header for machine clients.
+// Unless `allowPendingTwoFactor` is set, users whose role requires 2FA must have enrolled.
+const verifyUser = ({ allowPendingTwoFactor = false, allowApiKey = true } = {}) => async (req, res, next) => {
+  try {
+    if (req.headers["x-api-key"]) {
+      if (!allowApiKey) {
+        return res.status(403).json({ error: "API keys cannot be used for this endpoint" });
+      }
+      return await verifyApiKeyHeader(req, res, next);
+    }
+
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (err) {
+      return res.status(401).json({
+        error: err.name === "TokenExpiredError" ? "Token expired" : "Invalid token",
+      });
+    }
+
+    const user = await AdminUser.findById(payload.sub).populate("role");
+    if (!user || !user.isActive || (payload.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    if (!allowPendingTwoFactor && isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
+      return res.status(403).json({
+        error: "Two-factor authentication is required for your role. Enroll at /api/auth/2fa/setup.",
+        twoFactorSetupRequired: true,
+      });
+    }
+
+    req.user = user;
+    req.permissions = user.role?.permissions || [];
+    next();
+  } catch (error) {
+    console.error("Authentication error:", error);
+    res.status(500).json({ error: "Failed to authenticate request" });
+  }
+};
+
+export const authenticate = verifyUser();
+
+// For account endpoints that only make sense for a logged-in person
+export const authenticateUser = verifyUser({ allowApiKey: false });
+
+// For the 2FA enrollment endpoints, reachable before a required enrollment is complete
+export const authenticateForTwoFactorSetup = verifyUser({
+  allowPendingTwoFactor: true,
+  allowApiKey: false,
+});
+
+// Public reads stay open, every mutation requires a valid token
+export const protectWrites = (req, res, next) => {
+  if (PUBLIC_METHODS.includes(req.method)) return next();
+  return authenticate(req, res, next);
+};
+
+// Everything requires a valid token except the listed "METHOD /path" routes
+export const protectAllExcept = (...openRoutes) => (req, res, next) => {
+  if (req.method === "OPTIONS" || openRoutes.includes(`${req.method} ${req.path}`)) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+// Require an authenticated user or API key granted the given "resource:action" permission
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user && !req.apiKey) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  if (!hasPermission(req.permissions, permission)) {
+    return res.status(403).json({
+      error: `Missing permission: ${permission}`,
+      permission,
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,57 @@
+import { createStore } from "../utils/rateLimitStores.js";
+import { getClientIP } from "../utils/clientIp.js";
+
+// Per-route budgets. Override with RATE_LIMIT_<NAME>="<max>/<minutes>", e.g. RATE_LIMIT_CONTACT="10/60"
+export const RATE_LIMITS = {
+  contact: { max: 5, windowMinutes: 15 },
+  application: { max: 5, windowMinutes: 60 },
+  newsletter: { max: 3, windowMinutes: 60 },
+  auth: { max: 10, windowMinutes: 15 },
+};
+
+const defaultStore = createStore();
+
+const resolveBudget = (name) => {
+  const budget = RATE_LIMITS[name];
+  if (!budget) throw new Error(`Unknown rate limit "${name}"`);
+
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (override) {
+    const [max, windowMinutes] = override.split("/").map(Number);
+    if (max > 0 && windowMinutes > 0) return { max, windowMinutes };
+    console.error(`Ignoring invalid RATE_LIMIT_${name.toUpperCase()} value "${override}"`);
+  }
+
+  return budget;
+};
+
+// Limit requests per client IP for the named budget, with standard RateLimit and Retry-After headers
+export const rateLimit = (name, { store = defaultStore, keyGenerator = getClientIP } = {}) => {
+  const { max, windowMinutes } = resolveBudget(name);
+  const windowMs = windowMinutes * 60 * 1000;
+
+  return async (req, res, next) => {
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${keyGenerator(req)}`, windowMs);
+      const secondsToReset = Math.max(0, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(0, max - count)));
+      res.set("RateLimit-Reset", String(secondsToReset));
+
+      if (count > max) {
+        res.set("Retry-After", String(secondsToReset));
+        return res.status(429).json({
+          error: "Too many requests. Please try again later.",
+          retryAfter: secondsToReset,
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never block legitimate traffic because the limiter's store is unavailable
+      console.error("Rate limiter error:", error);
+      next();
+    }
+  };
+};
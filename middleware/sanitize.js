@@ -0,0 +1,10 @@
+import { findOperatorKey } from "../utils/query.js";
+
+// Reject request bodies carrying MongoDB operators ("$" keys) before they can reach a query
+export const rejectOperatorKeys = (req, res, next) => {
+  const key = findOperatorKey(req.body);
+  if (key) {
+    return res.status(400).json({ error: `Operator keys are not allowed in request body: ${key}` });
+  }
+  next();
+};
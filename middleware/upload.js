@@ -0,0 +1,71 @@
+import multer from "multer";
+
+// Contact form attachments: a few small briefs/RFPs. Override with ATTACHMENT_MAX_FILES / ATTACHMENT_MAX_MB.
+export const ATTACHMENT_LIMITS = {
+  maxFiles: Number(process.env.ATTACHMENT_MAX_FILES) || 3,
+  maxFileSizeMB: Number(process.env.ATTACHMENT_MAX_MB) || 10,
+};
+
+// Allowed types with the file signature each must start with (checked after upload, since
+// the client-supplied MIME type can't be trusted)
+export const ATTACHMENT_TYPES = {
+  "application/pdf": { extensions: [".pdf"], signature: [0x25, 0x50, 0x44, 0x46] },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extensions: [".docx"],
+    signature: [0x50, 0x4b, 0x03, 0x04],
+  },
+  "image/jpeg": { extensions: [".jpg", ".jpeg"], signature: [0xff, 0xd8, 0xff] },
+  "image/png": { extensions: [".png"], signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/webp": { extensions: [".webp"], signature: [0x52, 0x49, 0x46, 0x46] },
+};
+
+const hasAllowedExtension = (file, type) =>
+  type.extensions.some((extension) => file.originalname.toLowerCase().endsWith(extension));
+
+const matchesSignature = (file, type) =>
+  type.signature.every((byte, index) => file.buffer[index] === byte);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: ATTACHMENT_LIMITS.maxFiles,
+    fileSize: ATTACHMENT_LIMITS.maxFileSizeMB * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    const type = ATTACHMENT_TYPES[file.mimetype];
+    if (!type || !hasAllowedExtension(file, type)) {
+      const error = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+      error.message = `Unsupported file type for "${file.originalname}". Allowed: PDF, DOCX, JPEG, PNG, WEBP`;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).array("attachments");
+
+// Parses multipart contact submissions (JSON requests pass straight through) into
+// req.body and req.files, answering 400 for rejected files
+export const contactAttachments = (req, res, next) => {
+  if (!req.is("multipart/form-data")) return next();
+
+  upload(req, res, (error) => {
+    if (error) {
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Each attachment must be ${ATTACHMENT_LIMITS.maxFileSizeMB} MB or smaller`,
+          LIMIT_FILE_COUNT: `At most ${ATTACHMENT_LIMITS.maxFiles} attachments are allowed`,
+        };
+        return res.status(400).json({ error: messages[error.code] || error.message });
+      }
+      return next(error);
+    }
+
+    const spoofed = (req.files || []).find((file) => !matchesSignature(file, ATTACHMENT_TYPES[file.mimetype]));
+    if (spoofed) {
+      return res.status(400).json({
+        error: `"${spoofed.originalname}" does not match its declared file type`,
+      });
+    }
+
+    next();
+  });
+};
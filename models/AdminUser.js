@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+const AdminUserSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: 100
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/\S+@\S+\.\S+/, 'Please enter a valid email address']
+    },
+    password: {
+      type: String,
+      // Invited users set their password when accepting the invite
+      required: [function() { return !this.invitePending; }, 'Password is required'],
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false
+    },
+    role: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Role"
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastLoginAt: {
+      type: Date
+    },
+    invitePending: {
+      type: Boolean,
+      default: false
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser"
+    },
+    inviteToken: {
+      type: String,
+      select: false
+    },
+    inviteExpires: {
+      type: Date
+    },
+    // Bumped on "logout everywhere" and password changes to invalidate issued access tokens
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+    passwordResetToken: {
+      type: String,
+      select: false
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: { type: String, select: false },
+      // Hashed single-use recovery codes
+      recoveryCodes: { type: [String], select: false },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: { type: Number, select: false }
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordResetToken;
+        delete ret.passwordResetExpires;
+        delete ret.inviteToken;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+// Hash password whenever it is set or changed
+AdminUserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+AdminUserSchema.methods.comparePassword = async function(candidate) {
+  if (!this.password) return false;
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Virtual for account status shown in the admin user list
+AdminUserSchema.virtual('status').get(function() {
+  if (!this.isActive) return 'deactivated';
+  return this.invitePending ? 'invited' : 'active';
+});
+
+// Index for better query performance
+AdminUserSchema.index({ role: 1 });
+AdminUserSchema.index({ createdAt: -1 });
+
+export default mongoose.model("AdminUser", AdminUserSchema);
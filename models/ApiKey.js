@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      maxlength: 100
+    },
+    // Non-secret part of the key, shown in listings to tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    // Scopes such as "read:blogs" or "write:contacts"
+    scopes: [{
+      type: String,
+      trim: true
+    }],
+    expiresAt: {
+      type: Date
+    },
+    lastUsedAt: {
+      type: Date
+    },
+    lastUsedIp: {
+      type: String
+    },
+    revokedAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser"
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual for key status
+ApiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt < new Date()) return 'expired';
+  return 'active';
+});
+
+export default mongoose.model("ApiKey", ApiKeySchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const AssignmentRuleSchema = new mongoose.Schema(
+  {
+    // Contact projectType this rule applies to, or "*" for the fallback rule
+    projectType: {
+      type: String,
+      required: [true, 'Project type is required'],
+      unique: true,
+      trim: true
+    },
+    // Team members who take turns receiving new leads
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team"
+    }],
+    // Round-robin position, incremented atomically on every assignment
+    nextIndex: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("AssignmentRule", AssignmentRuleSchema);
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: {
+        type: String,
+        enum: ['user', 'apiKey', 'public', 'system'],
+        required: true
+      },
+      id: { type: mongoose.Schema.Types.ObjectId },
+      label: { type: String }
+    },
+    entityType: {
+      type: String,
+      required: true
+    },
+    entityId: {
+      type: String
+    },
+    action: {
+      type: String,
+      required: true
+    },
+    // Changed fields as { field: { from, to } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    ipAddress: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Index for better query performance
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", AuditLogSchema);
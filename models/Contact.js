@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { getDedupeKeys, hashMessage } from "../utils/contactKeys.js";
+import { getOptionLabel } from "../utils/formOptions.js";
 
 const ContactSchema = new mongoose.Schema(
   {
@@ -26,40 +28,20 @@ const ContactSchema = new mongoose.Schema(
       trim: true,
       maxlength: 100
     },
+    // projectType, budget and timeline values come from the managed form options (utils/formOptions.js)
     projectType: { 
       type: String, 
       required: true,
-      enum: [
-        'web-development',
-        'mobile-app',
-        'ecommerce',
-        'digital-marketing',
-        'branding',
-        'consulting',
-        'other'
-      ]
+      trim: true
     },
     budget: { 
       type: String, 
       required: true,
-      enum: [
-        '5k-15k',
-        '15k-30k',
-        '30k-50k',
-        '50k-100k',
-        '100k+',
-        'discuss'
-      ]
+      trim: true
     },
     timeline: { 
       type: String,
-      enum: [
-        'asap',
-        '1-3-months',
-        '3-6-months',
-        '6-12-months',
-        'flexible'
-      ]
+      trim: true
     },
     message: { 
       type: String, 
@@ -80,7 +62,7 @@ const ContactSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['new', 'contacted', 'in-progress', 'quoted', 'closed', 'archived'],
+      enum: ['new', 'contacted', 'in-progress', 'quoted', 'closed', 'archived', 'spam'],
       default: 'new'
     },
     priority: {
@@ -88,19 +70,143 @@ const ContactSchema = new mongoose.Schema(
       enum: ['low', 'medium', 'high', 'urgent'],
       default: 'medium'
     },
+    // When the contact last moved to "archived"; retention counts from here (see utils/privacy.js)
+    archivedAt: {
+      type: Date,
+      default: null
+    },
     isRead: {
       type: Boolean,
       default: false
     },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null
+    },
+    assignedAt: {
+      type: Date
+    },
     source: {
       type: String,
       default: 'website'
     },
+    // Files uploaded with the form, stored privately in Cloudinary (see utils/contactAttachments.js)
+    attachments: [{
+      publicId: { type: String, required: true },
+      resourceType: { type: String, enum: ['image', 'raw'] },
+      format: { type: String },
+      originalName: { type: String },
+      mimeType: { type: String },
+      size: { type: Number },
+      uploadedAt: { type: Date, default: Date.now }
+    }],
+    // Option labels at the time of submission, so old records keep a label if an option is removed
+    optionLabels: {
+      projectType: { type: String },
+      budget: { type: String },
+      timeline: { type: String }
+    },
+    // Set when personal data was erased on request (see utils/privacy.js)
+    erasedAt: {
+      type: Date,
+      default: null
+    },
+    // Marketing attribution captured from the form (UTM parameters, referrer, landing page)
+    attribution: {
+      utmSource: { type: String, trim: true, maxlength: 200 },
+      utmMedium: { type: String, trim: true, maxlength: 200 },
+      utmCampaign: { type: String, trim: true, maxlength: 200 },
+      utmTerm: { type: String, trim: true, maxlength: 200 },
+      utmContent: { type: String, trim: true, maxlength: 200 },
+      referrer: { type: String, trim: true, maxlength: 2000 },
+      referrerDomain: { type: String, trim: true },
+      landingPage: { type: String, trim: true, maxlength: 2000 }
+    },
     ipAddress: {
       type: String
     },
     userAgent: {
       type: String
+    },
+    // Rule-based spam score computed on submission
+    spam: {
+      score: { type: Number, default: 0 },
+      reasons: [{ type: String }]
+    },
+    // Sales pipeline: quote and won/lost outcome (see utils/pipeline.js)
+    deal: {
+      quotedAmount: { type: Number, min: 0 },
+      currency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+      },
+      quotedAt: { type: Date },
+      expectedCloseDate: { type: Date },
+      outcome: { type: String, enum: ['won', 'lost', null], default: null },
+      lostReason: { type: String, trim: true, maxlength: 500 },
+      closedAt: { type: Date }
+    },
+    // When the SLA clock started: submission, or release from spam. Older contacts fall back to createdAt.
+    slaStartedAt: {
+      type: Date
+    },
+    // Response-time SLA: slaStartedAt plus the priority target, set on create and on priority changes
+    slaDueAt: {
+      type: Date
+    },
+    // First move out of "new", first reply or first note
+    firstResponseAt: {
+      type: Date,
+      default: null
+    },
+    slaBreachNotifiedAt: {
+      type: Date,
+      default: null
+    },
+    // Lead score from the configurable scoring model (utils/leadScoring.js)
+    score: {
+      type: Number,
+      default: 0
+    },
+    scoring: {
+      breakdown: [{
+        _id: false,
+        factor: { type: String },
+        value: { type: mongoose.Schema.Types.Mixed },
+        points: { type: Number }
+      }],
+      scoredAt: { type: Date },
+      // Set once someone changes priority by hand; auto priority then leaves it alone
+      manualPriority: { type: Boolean, default: false }
+    },
+    // Normalized email/phone/company used for duplicate detection (set on save)
+    dedupeKeys: {
+      email: { type: String },
+      phone: { type: String },
+      company: { type: String }
+    },
+    // Hash of the message for the repeated-message spam check (set on save)
+    messageHash: {
+      type: String
+    },
+    // Set when this record was merged into a canonical contact
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      default: null
+    },
+    mergedAt: {
+      type: Date
+    },
+    // Outcome of the acknowledgement email sent to the inquirer
+    autoReply: {
+      status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+      template: { type: String },
+      messageId: { type: String },
+      sentAt: { type: Date },
+      error: { type: String }
     }
   },
   { 
@@ -110,37 +216,56 @@ const ContactSchema = new mongoose.Schema(
   }
 );
 
-// Virtual for project type label
+// Keep duplicate-detection keys, message hash, option labels and archivedAt in sync with the contact details
+ContactSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('email') || this.isModified('phone') || this.isModified('company')) {
+    this.dedupeKeys = getDedupeKeys(this);
+  }
+  if (this.isNew || this.isModified('message')) {
+    this.messageHash = hashMessage(this.message);
+  }
+  if (this.isModified('status')) {
+    this.archivedAt = this.status === 'archived' ? this.archivedAt || new Date() : null;
+  }
+  for (const field of ['projectType', 'budget', 'timeline']) {
+    if (this.isNew || this.isModified(field)) {
+      this.set(`optionLabels.${field}`, getOptionLabel(field, this[field]));
+    }
+  }
+  next();
+});
+
+// Labels for the managed form options: the current option label, else the label stored on submission
+const optionLabel = (contact, field) =>
+  getOptionLabel(field, contact[field]) || contact.optionLabels?.[field] || contact[field];
+
 ContactSchema.virtual('projectTypeLabel').get(function() {
-  const projectTypeLabels = {
-    'web-development': 'Web Development',
-    'mobile-app': 'Mobile App Development',
-    'ecommerce': 'E-commerce Solution',
-    'digital-marketing': 'Digital Marketing',
-    'branding': 'Branding & Design',
-    'consulting': 'Digital Consulting',
-    'other': 'Other'
-  };
-  return projectTypeLabels[this.projectType] || this.projectType;
+  return optionLabel(this, 'projectType');
 });
 
-// Virtual for budget label
 ContactSchema.virtual('budgetLabel').get(function() {
-  const budgetLabels = {
-    '5k-15k': '$5,000 - $15,000',
-    '15k-30k': '$15,000 - $30,000',
-    '30k-50k': '$30,000 - $50,000',
-    '50k-100k': '$50,000 - $100,000',
-    '100k+': '$100,000+',
-    'discuss': 'Let\'s Discuss'
-  };
-  return budgetLabels[this.budget] || this.budget;
+  return optionLabel(this, 'budget');
+});
+
+ContactSchema.virtual('timelineLabel').get(function() {
+  return optionLabel(this, 'timeline');
 });
 
 // Index for better query performance
 ContactSchema.index({ email: 1 });
 ContactSchema.index({ createdAt: -1 });
 ContactSchema.index({ status: 1 });
+ContactSchema.index({ status: 1, archivedAt: 1 });
 ContactSchema.index({ priority: 1 });
+ContactSchema.index({ assignedTo: 1, status: 1 });
+ContactSchema.index({ 'dedupeKeys.email': 1 });
+ContactSchema.index({ 'dedupeKeys.phone': 1 });
+ContactSchema.index({ 'dedupeKeys.company': 1 });
+ContactSchema.index({ mergedInto: 1 });
+ContactSchema.index({ messageHash: 1, createdAt: -1 });
+ContactSchema.index({ score: -1 });
+ContactSchema.index({ firstResponseAt: 1, slaDueAt: 1 });
+ContactSchema.index({ 'deal.outcome': 1 });
+ContactSchema.index({ 'attribution.utmSource': 1, 'attribution.utmCampaign': 1 });
 
 export default mongoose.model("Contact", ContactSchema);
\ No newline at end of file
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const ContactActivitySchema = new mongoose.Schema(
+  {
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      required: true
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['note', 'call', 'meeting', 'status-change', 'priority-change', 'assignment', 'merge', 'deal']
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    },
+    // Previous and new value for automatic change entries
+    from: {
+      type: String
+    },
+    to: {
+      type: String
+    },
+    author: {
+      type: {
+        type: String,
+        enum: ['user', 'apiKey', 'system'],
+        default: 'system'
+      },
+      id: { type: mongoose.Schema.Types.ObjectId },
+      name: { type: String }
+    },
+    // When the call/meeting happened; defaults to when it was logged
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    },
+    durationMinutes: {
+      type: Number,
+      min: 0
+    }
+  },
+  { timestamps: true }
+);
+
+// Index for better query performance
+ContactActivitySchema.index({ contact: 1, occurredAt: -1 });
+
+export default mongoose.model("ContactActivity", ContactActivitySchema);
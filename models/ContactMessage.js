@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// One email in the conversation with an inquirer, outbound (sent from the admin API) or inbound
+const ContactMessageSchema = new mongoose.Schema(
+  {
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      required: true
+    },
+    direction: {
+      type: String,
+      required: true,
+      enum: ['outbound', 'inbound']
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'received'],
+      required: true
+    },
+    from: {
+      type: String,
+      trim: true
+    },
+    to: {
+      type: String,
+      trim: true
+    },
+    subject: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    },
+    text: {
+      type: String,
+      required: [true, 'Message body is required'],
+      maxlength: 20000
+    },
+    html: {
+      type: String,
+      maxlength: 50000
+    },
+    // Transport Message-ID, used to match inbound replies via In-Reply-To
+    messageId: {
+      type: String
+    },
+    inReplyTo: {
+      type: String
+    },
+    // Send failure reason for outbound messages
+    error: {
+      type: String
+    },
+    author: {
+      type: {
+        type: String,
+        enum: ['user', 'apiKey', 'system', 'contact'],
+        default: 'system'
+      },
+      id: { type: mongoose.Schema.Types.ObjectId },
+      name: { type: String }
+    }
+  },
+  { timestamps: true }
+);
+
+// Index for better query performance
+ContactMessageSchema.index({ contact: 1, createdAt: 1 });
+ContactMessageSchema.index({ messageId: 1 }, { sparse: true });
+
+export default mongoose.model("ContactMessage", ContactMessageSchema);
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Admin overrides for the built-in email templates in utils/emailTemplates.js
+const EmailTemplateSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Template key is required'],
+      unique: true,
+      trim: true,
+      lowercase: true
+    },
+    // Subject and bodies may reference variables like {{name}} or {{budgetLabel}}
+    subject: {
+      type: String,
+      required: [true, 'Subject is required'],
+      trim: true,
+      maxlength: 200
+    },
+    text: {
+      type: String,
+      required: [true, 'Text body is required'],
+      maxlength: 10000
+    },
+    html: {
+      type: String,
+      maxlength: 20000
+    },
+    // Inactive templates are not sent at all
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser"
+    }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("EmailTemplate", EmailTemplateSchema);
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Choices offered on the public contact form (see utils/formOptions.js)
+const FormOptionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: [true, 'Field is required'],
+      enum: ['projectType', 'budget', 'timeline']
+    },
+    // Stored on contacts, so it cannot change once created
+    value: {
+      type: String,
+      required: [true, 'Value is required'],
+      trim: true,
+      lowercase: true,
+      maxlength: 50,
+      match: [/^[a-z0-9][a-z0-9+-]*$/, 'Value may only contain lowercase letters, digits, "-" and "+"'],
+      immutable: true
+    },
+    label: {
+      type: String,
+      required: [true, 'Label is required'],
+      trim: true,
+      maxlength: 100
+    },
+    // Display order on the form, lowest first
+    order: {
+      type: Number,
+      default: 0
+    },
+    // Inactive options are hidden from the form and rejected on submission,
+    // but still label the contacts that already use them
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Budget bands only: the amount range per currency, e.g. { currency: 'INR', min: 400000, max: 1200000 }
+    ranges: [{
+      _id: false,
+      currency: {
+        type: String,
+        required: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+      },
+      min: { type: Number, min: 0 },
+      max: { type: Number, min: 0 }
+    }],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser"
+    }
+  },
+  { timestamps: true }
+);
+
+FormOptionSchema.index({ field: 1, value: 1 }, { unique: true });
+FormOptionSchema.index({ field: 1, order: 1 });
+
+export default mongoose.model("FormOption", FormOptionSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Single stored scoring model (key "default"); defaults live in utils/leadScoring.js
+const LeadScoringConfigSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: 'default',
+      unique: true
+    },
+    // Points per budget / timeline form option value
+    budgetWeights: {
+      type: Map,
+      of: Number
+    },
+    timelineWeights: {
+      type: Map,
+      of: Number
+    },
+    // Points when a company name is given
+    companyPoints: {
+      type: Number
+    },
+    // Message length tiers; the highest tier reached applies
+    messageLengthTiers: [{
+      _id: false,
+      minLength: { type: Number, min: 1 },
+      points: { type: Number }
+    }],
+    // Points per earlier submission from the same person, capped at repeatSubmissionMax
+    repeatSubmissionPoints: {
+      type: Number
+    },
+    repeatSubmissionMax: {
+      type: Number
+    },
+    // Optionally derive priority from the score: score >= threshold sets that priority
+    autoPriority: {
+      enabled: { type: Boolean, default: false },
+      thresholds: {
+        urgent: { type: Number },
+        high: { type: Number },
+        medium: { type: Number }
+      }
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser"
+    }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("LeadScoringConfig", LeadScoringConfigSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser",
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // All tokens rotated from the same login share a family, so reuse revokes the whole chain
+    family: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date
+    },
+    replacedByHash: {
+      type: String
+    },
+    ipAddress: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+// Index for better query performance
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// Let MongoDB remove expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", RefreshTokenSchema);
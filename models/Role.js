@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const RoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 50
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    // Permission strings such as "contacts:read", "careers:*" or "*"
+    permissions: [{
+      type: String,
+      trim: true
+    }],
+    // Users with this role must enroll in TOTP two-factor authentication
+    requireTwoFactor: {
+      type: Boolean,
+      default: false
+    },
+    // Built-in roles cannot be deleted or renamed
+    isSystem: {
+      type: Boolean,
+      default: false
+    }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Role", RoleSchema);
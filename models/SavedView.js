@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Named filter/sort preset for GET /api/contacts, personal or shared with the team
+const SavedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'View name is required'],
+      trim: true,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser",
+      required: true
+    },
+    // Shared views are visible to everyone who can read contacts
+    isShared: {
+      type: Boolean,
+      default: false
+    },
+    // List query params as strings, e.g. { status: "new", priority: "urgent", dateFrom: "today-7d" }
+    query: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  { timestamps: true, minimize: false }
+);
+
+// Index for better query performance
+SavedViewSchema.index({ owner: 1 });
+SavedViewSchema.index({ isShared: 1 });
+
+export default mongoose.model("SavedView", SavedViewSchema);
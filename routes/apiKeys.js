@@ -0,0 +1,138 @@
+import express from "express";
+import ApiKey from "../models/ApiKey.js";
+import { requirePermission } from "../middleware/auth.js";
+import { hasPermission } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { API_KEY_SCOPES, isValidScope, scopeToPermission, buildApiKey } from "../utils/apiKeys.js";
+
+const router = express.Router();
+
+// GET - List available scopes
+router.get("/scopes", requirePermission("apiKeys:read"), (req, res) => {
+  res.json({ scopes: API_KEY_SCOPES });
+});
+
+// GET - List API keys (never includes the key itself)
+router.get("/", requirePermission("apiKeys:read"), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({ error: "Failed to fetch API keys" });
+  }
+});
+
+// POST - Create API key. The raw key is only returned in this response.
+router.post("/", requirePermission("apiKeys:write"), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt, expiresInDays } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "API key name is required" });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: "At least one scope is required" });
+    }
+
+    const invalid = scopes.filter((scope) => !isValidScope(scope));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: "Invalid scopes", details: invalid });
+    }
+
+    // A key can only carry permissions its creator holds
+    const ungranted = scopes.filter((scope) => !hasPermission(req.permissions, scopeToPermission(scope)));
+    if (ungranted.length > 0) {
+      return res.status(403).json({ error: "You cannot grant scopes you do not hold", details: ungranted });
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInDays) {
+      expiry = new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000);
+    }
+
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({ error: "Expiry must be a future date" });
+    }
+
+    const { key, apiKey } = buildApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+      createdBy: req.user?._id,
+    });
+    await apiKey.save();
+    await recordAudit(req, { entityType: "api-key", entityId: apiKey._id, action: "create", after: apiKey });
+
+    res.status(201).json({
+      message: "API key created successfully. Copy it now, it will not be shown again.",
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+// PATCH - Revoke API key
+router.patch("/:id/revoke", requirePermission("apiKeys:write"), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    if (!apiKey.revokedAt) {
+      const before = apiKey.toObject();
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      await recordAudit(req, { entityType: "api-key", entityId: apiKey._id, action: "revoke", before, after: apiKey });
+    }
+
+    res.json({ message: "API key revoked successfully", apiKey });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid API key ID" });
+    }
+
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+});
+
+// DELETE - Delete API key
+router.delete("/:id", requirePermission("apiKeys:delete"), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByIdAndDelete(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    await recordAudit(req, { entityType: "api-key", entityId: apiKey._id, action: "delete", before: apiKey });
+
+    res.json({ message: "API key deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting API key:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid API key ID" });
+    }
+
+    res.status(500).json({ error: "Failed to delete API key" });
+  }
+});
+
+export default router;
@@ -0,0 +1,141 @@
+import express from "express";
+import mongoose from "mongoose";
+import AssignmentRule from "../models/AssignmentRule.js";
+import Team from "../models/Team.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { DEFAULT_RULE } from "../utils/assignment.js";
+import { getFormOptions, getOptionValues } from "../utils/formOptions.js";
+
+const router = express.Router();
+
+// Helper function to validate rule input. Returns an error message or null.
+const validateRule = async ({ projectType, members }) => {
+  if (projectType !== undefined) {
+    await getFormOptions();
+    const projectTypes = getOptionValues("projectType");
+    if (projectType !== DEFAULT_RULE && !projectTypes.includes(projectType)) {
+      return `projectType must be "${DEFAULT_RULE}" or one of: ${projectTypes.join(", ")}`;
+    }
+  }
+
+  if (members !== undefined) {
+    if (!Array.isArray(members) || members.length === 0) {
+      return "At least one team member is required";
+    }
+    if (!members.every((id) => mongoose.isValidObjectId(id))) {
+      return "Invalid team member ID";
+    }
+
+    const found = await Team.countDocuments({ _id: { $in: members }, isActive: true });
+    if (found !== new Set(members.map(String)).size) {
+      return "All members must be active team members";
+    }
+  }
+
+  return null;
+};
+
+// GET - List assignment rules
+router.get("/", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const rules = await AssignmentRule.find()
+      .populate("members", "name role avatar isActive")
+      .sort({ projectType: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error("Error fetching assignment rules:", error);
+    res.status(500).json({ error: "Failed to fetch assignment rules" });
+  }
+});
+
+// POST - Create assignment rule for a projectType ("*" is the fallback for all others)
+router.post("/", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { projectType, members, isActive = true } = req.body;
+
+    if (!projectType || !members) {
+      return res.status(400).json({ error: "projectType and members are required" });
+    }
+
+    const invalid = await validateRule({ projectType, members });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const existing = await AssignmentRule.findOne({ projectType });
+    if (existing) {
+      return res.status(400).json({ error: "A rule for this projectType already exists" });
+    }
+
+    const rule = await AssignmentRule.create({ projectType, members, isActive: Boolean(isActive) });
+    await recordAudit(req, { entityType: "assignment-rule", entityId: rule._id, action: "create", after: rule });
+
+    res.status(201).json({ message: "Assignment rule created successfully", rule });
+  } catch (error) {
+    console.error("Error creating assignment rule:", error);
+    res.status(500).json({ error: "Failed to create assignment rule" });
+  }
+});
+
+// PUT - Update rule members or active flag
+router.put("/:id", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { members, isActive } = req.body;
+
+    const rule = await AssignmentRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Assignment rule not found" });
+    }
+
+    const invalid = await validateRule({ members });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const before = rule.toObject();
+    if (members !== undefined) {
+      rule.members = members;
+      rule.nextIndex = 0;
+    }
+    if (isActive !== undefined) rule.isActive = Boolean(isActive);
+
+    await rule.save();
+    await recordAudit(req, { entityType: "assignment-rule", entityId: rule._id, action: "update", before, after: rule });
+
+    res.json({ message: "Assignment rule updated successfully", rule });
+  } catch (error) {
+    console.error("Error updating assignment rule:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid assignment rule ID" });
+    }
+
+    res.status(500).json({ error: "Failed to update assignment rule" });
+  }
+});
+
+// DELETE - Delete assignment rule
+router.delete("/:id", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Assignment rule not found" });
+    }
+
+    await recordAudit(req, { entityType: "assignment-rule", entityId: rule._id, action: "delete", before: rule });
+
+    res.json({ message: "Assignment rule deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting assignment rule:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid assignment rule ID" });
+    }
+
+    res.status(500).json({ error: "Failed to delete assignment rule" });
+  }
+});
+
+export default router;
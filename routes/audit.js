@@ -0,0 +1,66 @@
+import express from "express";
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/auth.js";
+import { parseListQuery, parseDateRange, sendQueryError } from "../utils/query.js";
+
+const router = express.Router();
+
+// GET - Query audit log with filters and pagination
+router.get("/", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const { entity, entityId, actor, actorType, action, dateFrom, dateTo } = req.query;
+    const { page, limit, skip } = parseListQuery(req.query, {
+      params: ["page", "limit", "entity", "entityId", "actor", "actorType", "action", "dateFrom", "dateTo"],
+      sortable: ["createdAt"],
+      defaultLimit: 50,
+    });
+
+    const filter = {};
+
+    if (entity) filter.entityType = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (actorType) filter["actor.type"] = actorType;
+
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        return res.status(400).json({ error: "Invalid actor ID" });
+      }
+      filter["actor.id"] = actor;
+    }
+
+    // Date range filter
+    const createdAt = parseDateRange(dateFrom, dateTo);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+export default router;
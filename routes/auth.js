@@ -0,0 +1,432 @@
+import express from "express";
+import AdminUser from "../models/AdminUser.js";
+import { authenticateUser, authenticateForTwoFactorSetup } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  generateToken,
+  hashToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  ADMIN_APP_URL,
+  PASSWORD_RESET_TTL_MINUTES,
+} from "../utils/auth.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js";
+import { sendMail } from "../utils/mailer.js";
+import { generateSecret, buildOtpauthUri, verifyTotp } from "../utils/totp.js";
+import {
+  TWO_FACTOR_SELECT,
+  isTwoFactorRequired,
+  issueRecoveryCodes,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+
+const router = express.Router();
+
+// Shared budget for credential and token guessing endpoints
+const authRateLimit = rateLimit("auth");
+
+// Helper function to build the response for a freshly issued session
+const sessionResponse = (user, session) => ({
+  token: session.token,
+  refreshToken: session.refreshToken,
+  user,
+  permissions: user.role?.permissions || [],
+  twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor?.enabled,
+});
+
+// POST - Log in with email and password
+router.post("/login", authRateLimit, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    const user = await AdminUser.findOne({
+      email: String(email).toLowerCase().trim(),
+    })
+      .select("+password")
+      .populate("role");
+
+    if (!user || !user.isActive || !(await user.comparePassword(String(password)))) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    // Password was correct, but the second factor is still needed
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: "Two-factor authentication code required",
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user),
+      });
+    }
+
+    const session = await createSession(user, req);
+
+    res.json({
+      message: "Logged in successfully",
+      ...sessionResponse(user, session),
+    });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+// POST - Complete a login with a TOTP code or a recovery code
+router.post("/2fa/verify", authRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: "Challenge token and a code or recovery code are required",
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyTwoFactorChallenge(String(challengeToken));
+    } catch (err) {
+      return res.status(401).json({ error: "Invalid or expired challenge token" });
+    }
+
+    const user = await AdminUser.findById(payload.sub)
+      .select(TWO_FACTOR_SELECT)
+      .populate("role");
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: "Invalid or expired challenge token" });
+    }
+
+    const verified = await verifySecondFactor(user, {
+      code: code && String(code),
+      recoveryCode: recoveryCode && String(recoveryCode),
+    });
+    if (!verified) {
+      return res.status(401).json({ error: "Invalid two-factor code" });
+    }
+
+    const session = await createSession(user, req);
+
+    res.json({
+      message: "Logged in successfully",
+      ...sessionResponse(user, session),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    });
+  } catch (error) {
+    console.error("Error verifying two-factor code:", error);
+    res.status(500).json({ error: "Failed to verify two-factor code" });
+  }
+});
+
+// POST - Start 2FA enrollment: returns a new secret and otpauth URI for authenticator apps
+router.post("/2fa/setup", authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactor.pendingSecret = secret;
+    await req.user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email }),
+    });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ error: "Failed to start two-factor setup" });
+  }
+});
+
+// POST - Confirm enrollment with a code from the authenticator app
+router.post("/2fa/enable", authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Code is required" });
+    }
+
+    const user = await AdminUser.findById(req.user._id).select("+twoFactor.pendingSecret");
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: "Start two-factor setup first" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, String(code));
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({ error: "Failed to enable two-factor authentication" });
+  }
+});
+
+// POST - Replace recovery codes (requires a current TOTP code)
+router.post("/2fa/recovery-codes", authenticateUser, async (req, res) => {
+  try {
+    const user = await AdminUser.findById(req.user._id).select(TWO_FACTOR_SELECT);
+
+    if (!(await verifySecondFactor(user, { code: req.body.code && String(req.body.code) }))) {
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({ message: "Recovery codes regenerated", recoveryCodes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ error: "Failed to regenerate recovery codes" });
+  }
+});
+
+// POST - Turn off 2FA (requires password and a code, not allowed when the role requires 2FA)
+router.post("/2fa/disable", authenticateUser, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        error: "Two-factor authentication is required for your role and cannot be disabled",
+      });
+    }
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: "Password and a code or recovery code are required",
+      });
+    }
+
+    const user = await AdminUser.findById(req.user._id).select(`+password ${TWO_FACTOR_SELECT}`);
+
+    const verified =
+      (await user.comparePassword(String(password))) &&
+      (await verifySecondFactor(user, {
+        code: code && String(code),
+        recoveryCode: recoveryCode && String(recoveryCode),
+      }));
+    if (!verified) {
+      return res.status(400).json({ error: "Invalid password or two-factor code" });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({ error: "Failed to disable two-factor authentication" });
+  }
+});
+
+// POST - Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const session = await rotateSession(String(refreshToken), req);
+    if (!session) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    res.json(sessionResponse(session.user, session));
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
+
+// POST - Log out the current session
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await revokeSession(String(refreshToken));
+    }
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
+// POST - Log out of every session for the current user
+router.post("/logout-all", authenticateUser, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    res.json({ message: "Logged out of all sessions" });
+  } catch (error) {
+    console.error("Error logging out of all sessions:", error);
+    res.status(500).json({ error: "Failed to log out of all sessions" });
+  }
+});
+
+// POST - Request a password reset email
+router.post("/forgot-password", authRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = await AdminUser.findOne({
+      email: String(email).toLowerCase().trim(),
+      isActive: true,
+      invitePending: false,
+    });
+
+    // Respond the same way whether or not the account exists
+    if (user) {
+      const resetToken = generateToken(32);
+      user.passwordResetToken = hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      const resetUrl = `${ADMIN_APP_URL}/reset-password?token=${resetToken}`;
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Kayease admin password",
+        text:
+          `Hi ${user.name},\n\n` +
+          `Use the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n` +
+          `${resetUrl}\n\n` +
+          "If you did not request this, you can ignore this email.",
+      });
+    }
+
+    res.json({
+      message: "If an account exists for that email, a password reset link has been sent.",
+    });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    res.status(500).json({ error: "Failed to request password reset" });
+  }
+});
+
+// POST - Reset password with a single-use token
+router.post("/reset-password", authRateLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: "Token and password are required" });
+    }
+
+    const user = await AdminUser.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    user.password = String(password);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // A new password ends every existing session
+    await revokeAllSessions(user._id);
+
+    res.json({ message: "Password reset successfully. Please log in again." });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
+// POST - Accept an invitation by choosing a password, then log in
+router.post("/accept-invite", authRateLimit, async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: "Token and password are required" });
+    }
+
+    const user = await AdminUser.findOne({
+      inviteToken: hashToken(token),
+      inviteExpires: { $gt: new Date() },
+      invitePending: true,
+      isActive: true,
+    }).populate("role");
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+
+    user.password = String(password);
+    if (name) user.name = name;
+    user.invitePending = false;
+    user.inviteToken = undefined;
+    user.inviteExpires = undefined;
+    await user.save();
+
+    const session = await createSession(user, req);
+
+    res.json({
+      message: "Invitation accepted successfully",
+      ...sessionResponse(user, session),
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to accept invitation" });
+  }
+});
+
+// GET - Current admin user
+router.get("/me", authenticateForTwoFactorSetup, (req, res) => {
+  res.json({
+    user: req.user,
+    permissions: req.permissions,
+    twoFactorSetupRequired: isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled,
+  });
+});
+
+export default router;
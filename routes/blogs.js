@@ -1,11 +1,13 @@
 import express from "express";
 import Blog from "../models/Blog.js";
 import { deleteImage } from "../utils/cloudinary.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
 // Create blog (expects image as URL in req.body.image)
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("blogs:write"), async (req, res) => {
   try {
     const blog = new Blog({
       ...req.body,
@@ -14,6 +16,7 @@ router.post("/", async (req, res) => {
       status: req.body.status || "published",
     });
     await blog.save();
+    await recordAudit(req, { entityType: "blog", entityId: blog._id, action: "create", after: blog });
     res.status(201).json({ message: "Blog created successfully", blog });
   } catch (err) {
     res.status(500).json({ error: err.message || "Failed to create blog" });
@@ -21,14 +24,16 @@ router.post("/", async (req, res) => {
 });
 
 // Update blog
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("blogs:write"), async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
     if (!blog) return res.status(404).json({ error: "Blog not found" });
 
     // Update blog data
+    const before = blog.toObject();
     Object.assign(blog, req.body);
     await blog.save();
+    await recordAudit(req, { entityType: "blog", entityId: blog._id, action: "update", before, after: blog });
     res.json({ message: "Blog updated successfully", blog });
   } catch (err) {
     res.status(500).json({ error: err.message || "Failed to update blog" });
@@ -36,7 +41,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete blog: delete image from Cloudinary first, then delete blog from DB
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("blogs:delete"), async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
     if (!blog) return res.status(404).json({ error: "Blog not found" });
@@ -68,6 +73,7 @@ router.delete("/:id", async (req, res) => {
     }
     
     await Blog.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entityType: "blog", entityId: blog._id, action: "delete", before: blog });
     res.json({ message: "Blog and image deleted successfully" });
   } catch (err) {
     console.error('Blog delete error:', err);
@@ -1,73 +1,66 @@
 import express from "express";
 import Career from "../models/Career.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit, recordBulkAudit } from "../utils/audit.js";
+import { parseListQuery, parseEnumFilter, buildSearchFilter, sendQueryError } from "../utils/query.js";
 
 const router = express.Router();
 
+const CAREER_LIST_PARAMS = ['search', 'department', 'status', 'jobType', 'page', 'limit', 'sortBy', 'sortOrder'];
+const CAREER_SORT_FIELDS = ['createdAt', 'updatedAt', 'postedDate', 'title', 'department', 'status', 'viewCount', 'applicationCount'];
+
 // Get all careers with filtering and search
 router.get("/", async (req, res) => {
   try {
-    const { 
-      search, 
-      department, 
-      status, 
-      jobType, 
-      page = 1, 
-      limit = 10,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { search, department, status, jobType } = req.query;
+    const { page, limit, skip, sort } = parseListQuery(req.query, {
+      params: CAREER_LIST_PARAMS,
+      sortable: CAREER_SORT_FIELDS,
+    });
 
-    // Build filter object
+    // Build filter object ('all' means no filter)
     const filter = {};
     
     if (department && department !== 'all') {
-      filter.department = department;
+      filter.department = parseEnumFilter(department, Career.schema.path('department').enumValues, 'department');
     }
     
     if (status && status !== 'all') {
-      filter.status = status;
+      filter.status = parseEnumFilter(status, Career.schema.path('status').enumValues, 'status');
     }
     
     if (jobType && jobType !== 'all') {
-      filter.jobType = jobType;
+      filter.jobType = parseEnumFilter(jobType, Career.schema.path('jobType').enumValues, 'jobType');
     }
 
     // Build search query
     if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { location: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { skills: { $in: [new RegExp(search, 'i')] } }
-      ];
+      filter.$or = buildSearchFilter(search, ['title', 'location', 'description', 'skills']);
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
     // Execute query
     const careers = await Career.find(filter)
-      .sort(sortOptions)
+      .sort(sort)
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
 
     const total = await Career.countDocuments(filter);
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const totalPages = Math.ceil(total / limit);
 
     res.json({
       careers,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalItems: total,
-        itemsPerPage: parseInt(limit),
-        hasNextPage: parseInt(page) < totalPages,
-        hasPrevPage: parseInt(page) > 1
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
       }
     });
   } catch (err) {
+    if (err.name === 'QueryError') return sendQueryError(res, err);
+
     console.error('Get careers error:', err);
     res.status(500).json({ error: err.message || "Failed to fetch careers" });
   }
@@ -93,7 +86,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create new career
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("careers:write"), async (req, res) => {
   try {
     // Validate required fields
     const { title, department, location, jobType, description, requirements, skills } = req.body;
@@ -122,6 +115,7 @@ router.post("/", async (req, res) => {
     });
     
     await career.save();
+    await recordAudit(req, { entityType: "career", entityId: career._id, action: "create", after: career });
     res.status(201).json({ message: "Career created successfully", career });
   } catch (err) {
     console.error('Create career error:', err);
@@ -130,7 +124,7 @@ router.post("/", async (req, res) => {
 });
 
 // Update career
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("careers:write"), async (req, res) => {
   try {
     const career = await Career.findById(req.params.id);
     if (!career) {
@@ -161,8 +155,10 @@ router.put("/:id", async (req, res) => {
       updateData.skills = skills.filter(skill => skill && skill.trim());
     }
 
+    const before = career.toObject();
     Object.assign(career, updateData);
     await career.save();
+    await recordAudit(req, { entityType: "career", entityId: career._id, action: "update", before, after: career });
     
     res.json({ message: "Career updated successfully", career });
   } catch (err) {
@@ -172,7 +168,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete career
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("careers:delete"), async (req, res) => {
   try {
     const career = await Career.findById(req.params.id);
     if (!career) {
@@ -180,6 +176,7 @@ router.delete("/:id", async (req, res) => {
     }
     
     await Career.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entityType: "career", entityId: career._id, action: "delete", before: career });
     res.json({ message: "Career deleted successfully" });
   } catch (err) {
     console.error('Delete career error:', err);
@@ -188,7 +185,7 @@ router.delete("/:id", async (req, res) => {
 });
 
 // Bulk delete careers
-router.post("/bulk-delete", async (req, res) => {
+router.post("/bulk-delete", requirePermission("careers:delete"), async (req, res) => {
   try {
     const { ids } = req.body;
     
@@ -196,7 +193,9 @@ router.post("/bulk-delete", async (req, res) => {
       return res.status(400).json({ error: "No career IDs provided" });
     }
     
+    const careers = await Career.find({ _id: { $in: ids } }).lean();
     const result = await Career.deleteMany({ _id: { $in: ids } });
+    await recordBulkAudit(req, { entityType: "career", action: "bulk-delete", before: careers });
     res.json({ 
       message: `${result.deletedCount} careers deleted successfully`,
       deletedCount: result.deletedCount
@@ -208,7 +207,7 @@ router.post("/bulk-delete", async (req, res) => {
 });
 
 // Update career status
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", requirePermission("careers:write"), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -221,8 +220,10 @@ router.patch("/:id/status", async (req, res) => {
       return res.status(404).json({ error: "Career not found" });
     }
     
+    const before = career.toObject();
     career.status = status;
     await career.save();
+    await recordAudit(req, { entityType: "career", entityId: career._id, action: "update", before, after: career });
     
     res.json({ message: "Career status updated successfully", career });
   } catch (err) {
@@ -1,6 +1,9 @@
 import express from "express";
 import Client from "../models/Client.js";
 import { deleteImage } from "../utils/cloudinary.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { parseListQuery, buildSearchFilter, sendQueryError } from "../utils/query.js";
 
 const router = express.Router();
 
@@ -23,7 +26,7 @@ function extractPublicIdFromUrl(url) {
 }
 
 // Create client (expects logo as URL in req.body.logo)
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("clients:write"), async (req, res) => {
   try {
     // Validate required fields
     const { name, logo } = req.body;
@@ -42,6 +45,7 @@ router.post("/", async (req, res) => {
 
     const client = new Client(clientData);
     await client.save();
+    await recordAudit(req, { entityType: "client", entityId: client._id, action: "create", after: client });
     
     res.status(201).json({ 
       message: "Client created successfully", 
@@ -58,46 +62,41 @@ router.post("/", async (req, res) => {
 // Get all clients with filtering and pagination
 router.get("/", async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { search } = req.query;
+    const { page, limit, skip, sort } = parseListQuery(req.query, {
+      params: ['page', 'limit', 'search', 'sortBy', 'sortOrder'],
+      sortable: ['createdAt', 'updatedAt', 'name']
+    });
 
     // Build filter object
     const filter = {};
     if (search) {
-      filter.name = new RegExp(search, 'i');
+      filter.$or = buildSearchFilter(search, ['name']);
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
     // Execute query with pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     const clients = await Client.find(filter)
       .sort(sort)
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
 
     // Get total count for pagination
     const total = await Client.countDocuments(filter);
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const totalPages = Math.ceil(total / limit);
 
     res.json({
       clients,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalClients: total,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1
+        hasNext: page < totalPages,
+        hasPrev: page > 1
       }
     });
   } catch (err) {
+    if (err.name === 'QueryError') return sendQueryError(res, err);
+
     console.error('Get clients error:', err);
     res.status(500).json({ 
       error: err.message || "Failed to fetch clients" 
@@ -122,7 +121,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Update client
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("clients:write"), async (req, res) => {
   try {
     const client = await Client.findById(req.params.id);
     if (!client) {
@@ -130,6 +129,7 @@ router.put("/:id", async (req, res) => {
     }
 
     // Store old logo info for potential cleanup
+    const before = client.toObject();
     const oldLogo = client.logo;
     const oldLogoPublicId = client.logoPublicId;
 
@@ -139,6 +139,7 @@ router.put("/:id", async (req, res) => {
     if (req.body.logoPublicId !== undefined) client.logoPublicId = req.body.logoPublicId;
     
     await client.save();
+    await recordAudit(req, { entityType: "client", entityId: client._id, action: "update", before, after: client });
 
     // If logo was changed and we have old logo, delete it from Cloudinary
     if (req.body.logo && req.body.logo !== oldLogo && oldLogoPublicId) {
@@ -163,7 +164,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete client
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("clients:delete"), async (req, res) => {
   try {
     const client = await Client.findById(req.params.id);
     if (!client) {
@@ -201,6 +202,7 @@ router.delete("/:id", async (req, res) => {
     }
     
     await Client.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entityType: "client", entityId: client._id, action: "delete", before: client });
     res.json({ message: "Client and logo deleted successfully" });
   } catch (err) {
     console.error('Client delete error:', err);
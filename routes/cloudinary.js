@@ -1,10 +1,12 @@
 import express from "express";
 import { deleteImage, uploadImageBase64 } from "../utils/cloudinary.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
 // Upload image to Cloudinary
-router.post("/upload", async (req, res) => {
+router.post("/upload", requirePermission("cloudinary:write"), async (req, res) => {
   try {
     const { image, folder, publicId } = req.body;
     
@@ -13,6 +15,12 @@ router.post("/upload", async (req, res) => {
     }
 
     const result = await uploadImageBase64(image, folder || 'uploads', publicId);
+    await recordAudit(req, {
+      entityType: "cloudinary",
+      entityId: result.public_id,
+      action: "upload",
+      after: { public_id: result.public_id, secure_url: result.secure_url, bytes: result.bytes },
+    });
     
     res.json({
       message: "Image uploaded successfully",
@@ -32,7 +40,7 @@ router.post("/upload", async (req, res) => {
 });
 
 // Delete image from Cloudinary
-router.post("/delete", async (req, res) => {
+router.post("/delete", requirePermission("cloudinary:delete"), async (req, res) => {
   try {
     const { publicId } = req.body;
     
@@ -41,6 +49,12 @@ router.post("/delete", async (req, res) => {
     }
 
     const result = await deleteImage(publicId);
+    await recordAudit(req, {
+      entityType: "cloudinary",
+      entityId: publicId,
+      action: "delete",
+      metadata: { result: result.result || result },
+    });
     
     res.json({ 
       message: "Image deleted successfully", 
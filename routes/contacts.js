@@ -1,20 +1,71 @@
 import express from "express";
 import Contact from "../models/Contact.js";
+import { requirePermission } from "../middleware/auth.js";
+import ContactActivity from "../models/ContactActivity.js";
+import ContactMessage from "../models/ContactMessage.js";
+import Team from "../models/Team.js";
+import { recordAudit, recordBulkAudit } from "../utils/audit.js";
+import { addContactActivity, recordContactChanges } from "../utils/contactActivity.js";
+import { resolveAssignee, pickAssignee, OPEN_STATUSES } from "../utils/assignment.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { contactAttachments } from "../middleware/upload.js";
+import { rejectOperatorKeys } from "../middleware/sanitize.js";
+import { getClientIP } from "../utils/clientIp.js";
+import { scoreContactSubmission } from "../utils/spamScore.js";
+import { findDuplicateGroups, mergeContacts, deleteMergedDuplicates } from "../utils/duplicates.js";
+import { applyLeadScore } from "../utils/leadScoring.js";
+import {
+  getSlaDueAt,
+  getSlaStart,
+  refreshSlaDueAt,
+  markFirstResponse,
+  isResponseStatus,
+  getSlaStats,
+} from "../utils/sla.js";
+import { buildDealUpdate, getPipeline, getConversionReport } from "../utils/pipeline.js";
+import { parseAttribution, getAttributionBreakdown } from "../utils/attribution.js";
+import {
+  EXPORT_FORMATS,
+  parseExportColumns,
+  streamCsv,
+  streamXlsx,
+} from "../utils/contactExport.js";
+import {
+  uploadContactAttachments,
+  deleteContactAttachments,
+  withDownloadUrls,
+} from "../utils/contactAttachments.js";
+import { notifyNewContact } from "../utils/notifications.js";
+import { sendContactAutoReply } from "../utils/emailTemplates.js";
+import {
+  sendContactReply,
+  findInboundContactId,
+  recordInboundMessage,
+  isValidInboundSecret,
+} from "../utils/contactThread.js";
+import { CONTACT_LIST_PARAMS, CONTACT_SORT_FIELDS, buildContactFilter } from "../utils/contactFilters.js";
+import { resolveViewQuery } from "../utils/savedViews.js";
+import { syncArchivedAt } from "../utils/privacy.js";
+import { validateFormSelections } from "../utils/formOptions.js";
+import {
+  parseListQuery,
+  parseEnumFilter,
+  parseDateRange,
+  pickAllowedFields,
+  sendQueryError,
+  assertAllowedParams,
+} from "../utils/query.js";
 
 const router = express.Router();
 
-// Helper function to get client IP
-const getClientIP = (req) => {
-  return (
-    req.headers["x-forwarded-for"] ||
-    req.connection.remoteAddress ||
-    req.socket.remoteAddress ||
-    (req.connection.socket ? req.connection.socket.remoteAddress : null)
-  );
-};
+// Whitelists for bulk updates
+const CONTACT_BULK_UPDATE_FIELDS = ["status", "priority", "isRead", "assignedTo"];
+const ASSIGNEE_FIELDS = "name role avatar";
 
 // POST - Create new contact inquiry
-router.post("/", async (req, res) => {
+// Accepts JSON or multipart/form-data with up to a few "attachments" files.
+// Multipart bodies are parsed here, after the app-wide operator-key check, so it runs again.
+router.post("/", rateLimit("contact"), contactAttachments, rejectOperatorKeys, async (req, res) => {
   try {
     const {
       name,
@@ -43,6 +94,15 @@ router.post("/", async (req, res) => {
       });
     }
 
+    // projectType, budget and timeline must be active form options
+    const optionErrors = await validateFormSelections(req.body);
+    if (optionErrors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: optionErrors,
+      });
+    }
+
     // Check if email already submitted 5 times in the last 24 hours (prevent spam)
     const submissionsCount = await Contact.countDocuments({
       email: email.toLowerCase(),
@@ -56,6 +116,12 @@ router.post("/", async (req, res) => {
       });
     }
 
+    // Spam submissions are stored for review but hidden from default listings
+    const spamResult = await scoreContactSubmission(req.body);
+
+    // Round-robin assignment by projectType (spam stays unassigned)
+    const assignedTo = spamResult.isSpam ? null : await pickAssignee(projectType);
+
     // Create new contact
     const newContact = new Contact({
       name: name.trim(),
@@ -69,9 +135,44 @@ router.post("/", async (req, res) => {
       terms: true,
       ipAddress: getClientIP(req),
       userAgent: req.headers["user-agent"],
+      attribution: parseAttribution(req.body),
+      status: spamResult.isSpam ? "spam" : "new",
+      assignedTo,
+      assignedAt: assignedTo ? new Date() : undefined,
+      spam: { score: spamResult.score, reasons: spamResult.reasons },
     });
+    await applyLeadScore(newContact);
+    if (!spamResult.isSpam) {
+      newContact.slaStartedAt = new Date();
+      newContact.slaDueAt = getSlaDueAt(newContact.slaStartedAt, newContact.priority);
+    }
+
+    // Validate before uploading so a bad submission never leaves files behind; spam attachments are dropped
+    await newContact.validate();
+    if (req.files?.length && !spamResult.isSpam) {
+      try {
+        newContact.attachments = await uploadContactAttachments(newContact._id, req.files);
+      } catch (error) {
+        console.error("Error uploading contact attachments:", error);
+        return res.status(502).json({
+          error: "Failed to upload attachments. Please try again later.",
+        });
+      }
+    }
 
     const savedContact = await newContact.save();
+    await recordAudit(req, { entityType: "contact", entityId: savedContact._id, action: "create", after: savedContact });
+    if (assignedTo) {
+      await addContactActivity(null, savedContact._id, {
+        type: "assignment",
+        to: String(assignedTo),
+        body: "Auto-assigned by round-robin rule",
+      }).catch((error) => console.error("Contact activity error:", error));
+    }
+
+    // Email staff and the inquirer in the background so a slow SMTP server doesn't delay the response
+    notifyNewContact(savedContact);
+    sendContactAutoReply(savedContact);
 
     res.status(201).json({
       message:
@@ -82,6 +183,7 @@ router.post("/", async (req, res) => {
         email: savedContact.email,
         projectType: savedContact.projectTypeLabel,
         budget: savedContact.budgetLabel,
+        attachments: savedContact.attachments.length,
         createdAt: savedContact.createdAt,
       },
     });
@@ -102,78 +204,164 @@ router.post("/", async (req, res) => {
   }
 });
 
+// POST - Inbound email from the mail stand-in, attached to the thread via reply token (shared secret)
+router.post("/inbound", async (req, res) => {
+  try {
+    if (!isValidInboundSecret(req.headers["x-inbound-secret"])) {
+      return res.status(401).json({
+        error: "Invalid inbound mail secret",
+      });
+    }
+
+    const { from, to, subject, text, html, messageId, inReplyTo } = req.body;
+    const body = text || (html ? String(html).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim() : "");
+
+    if (!from || !to || !body) {
+      return res.status(400).json({
+        error: "from, to and a text or html body are required",
+      });
+    }
+
+    const contactId = await findInboundContactId({ to, inReplyTo });
+    const contact = contactId && (await Contact.findById(contactId));
+    if (!contact) {
+      return res.status(404).json({
+        error: "No contact matches this reply",
+      });
+    }
+
+    const message = await recordInboundMessage(contact, {
+      from,
+      to,
+      subject,
+      text: body,
+      html,
+      messageId,
+      inReplyTo,
+    });
+
+    // Surface the reply in the dashboard
+    await Contact.updateOne({ _id: contact._id }, { isRead: false });
+
+    res.status(201).json({
+      message: "Inbound message recorded",
+      contactId: contact._id,
+      messageId: message._id,
+    });
+  } catch (error) {
+    console.error("Error recording inbound message:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to record inbound message",
+    });
+  }
+});
+
 // GET - Get all contacts with filters and pagination (Admin only)
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("contacts:read"), async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      priority,
-      projectType,
-      search,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-      dateFrom,
-      dateTo,
-    } = req.query;
-
-    // Build filter object
-    const filter = {};
-
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (projectType) filter.projectType = projectType;
-
-    // Date range filter
-    if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) filter.createdAt.$lte = new Date(dateTo);
-    }
-
-    // Search filter
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-        { company: { $regex: search, $options: "i" } },
-        { message: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+    // ?view=<id> applies a saved view; other params override it
+    const { query, view } = await resolveViewQuery(req);
+    const appliedView = view ? { id: view._id, name: view.name } : undefined;
+
+    const { page, limit, skip, sort } = parseListQuery(query, {
+      params: CONTACT_LIST_PARAMS,
+      sortable: CONTACT_SORT_FIELDS,
+    });
+    const filter = buildContactFilter(query);
+
+    // "By person" view: one row per normalized email, newest activity first
+    if (parseEnumFilter(query.groupBy, ["person"], "groupBy") === "person") {
+      const [result] = await Contact.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: -1 } },
+        {
+          $group: {
+            _id: { $ifNull: ["$dedupeKeys.email", { $toLower: "$email" }] },
+            name: { $first: "$name" },
+            email: { $first: "$email" },
+            phone: { $first: "$phone" },
+            company: { $first: "$company" },
+            count: { $sum: 1 },
+            firstAt: { $min: "$createdAt" },
+            latestAt: { $max: "$createdAt" },
+            statuses: { $addToSet: "$status" },
+            contacts: {
+              $push: {
+                _id: "$_id",
+                projectType: "$projectType",
+                budget: "$budget",
+                status: "$status",
+                priority: "$priority",
+                createdAt: "$createdAt",
+              },
+            },
+          },
+        },
+        {
+          $facet: {
+            people: [{ $sort: { latestAt: -1 } }, { $skip: skip }, { $limit: limit }],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]);
+
+      const totalPeople = result.total[0]?.count || 0;
+      const totalPages = Math.ceil(totalPeople / limit);
+
+      return res.json({
+        people: result.people.map(({ _id, ...person }) => ({ key: _id, ...person })),
+        view: appliedView,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPeople,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit,
+        },
+      });
+    }
 
     // Execute query
     const [contacts, totalContacts] = await Promise.all([
       Contact.find(filter)
-        .sort(sortOptions)
+        .populate("assignedTo", ASSIGNEE_FIELDS)
+        .sort(sort)
         .skip(skip)
-        .limit(parseInt(limit))
+        .limit(limit)
         .lean(),
       Contact.countDocuments(filter),
     ]);
 
     // Calculate pagination info
-    const totalPages = Math.ceil(totalContacts / parseInt(limit));
-    const hasNextPage = parseInt(page) < totalPages;
-    const hasPrevPage = parseInt(page) > 1;
+    const totalPages = Math.ceil(totalContacts / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
 
     res.json({
       contacts,
+      view: appliedView,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalContacts,
         hasNextPage,
         hasPrevPage,
-        limit: parseInt(limit),
+        limit,
       },
     });
   } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
     console.error("Error fetching contacts:", error);
     res.status(500).json({
       error: "Failed to fetch contacts",
@@ -181,12 +369,160 @@ router.get("/", async (req, res) => {
   }
 });
 
+// GET - Spam queue for review, highest score first (Admin only)
+router.get("/spam", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const { page, limit, skip } = parseListQuery(req.query, {
+      params: ["page", "limit"],
+      sortable: ["createdAt"],
+      defaultLimit: 20,
+    });
+    const filter = { status: "spam" };
+
+    const [contacts, totalContacts] = await Promise.all([
+      Contact.find(filter)
+        .sort({ "spam.score": -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Contact.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalContacts / limit);
+
+    res.json({
+      contacts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalContacts,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit,
+      },
+    });
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error fetching spam contacts:", error);
+    res.status(500).json({
+      error: "Failed to fetch spam contacts",
+    });
+  }
+});
+
+// GET - Stream contacts matching the list filters as CSV or XLSX (Admin only)
+router.get("/export", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    // Exports are always one row per contact, so a view's groupBy is ignored
+    const { query, view } = await resolveViewQuery(req);
+    delete query.groupBy;
+
+    const { sort } = parseListQuery(query, {
+      params: [...CONTACT_LIST_PARAMS.filter((param) => !["page", "limit"].includes(param)), "format", "columns"],
+      sortable: CONTACT_SORT_FIELDS,
+    });
+    const format = parseEnumFilter(query.format, EXPORT_FORMATS, "format") || "csv";
+    const columns = parseExportColumns(query.columns);
+    const filter = buildContactFilter(query);
+
+    await recordAudit(req, {
+      entityType: "contact",
+      action: "export",
+      metadata: { format, columns, query, view: view?._id },
+    });
+
+    const cursor = Contact.find(filter)
+      .populate("assignedTo", "name")
+      .sort(sort)
+      .cursor();
+
+    const filename = `contacts-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "xlsx") {
+      res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      await streamXlsx(res, cursor, columns);
+    } else {
+      res.type("text/csv; charset=utf-8");
+      await streamCsv(res, cursor, columns);
+    }
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error exporting contacts:", error);
+
+    // Once streaming has started the only option left is to abort the download
+    if (res.headersSent) return res.destroy(error);
+
+    res.status(500).json({
+      error: "Failed to export contacts",
+    });
+  }
+});
+
+// GET - Sales pipeline: contacts grouped by stage with total quoted value (Admin only)
+router.get("/pipeline", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const { limit } = parseListQuery(req.query, {
+      params: ["limit", "projectType", "assignedTo", "search", "dateFrom", "dateTo"],
+      sortable: ["createdAt"],
+      defaultLimit: 20,
+    });
+
+    const filter = buildContactFilter(req.query);
+    const stages = await getPipeline(filter, { limit });
+
+    res.json({ stages });
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error fetching pipeline:", error);
+    res.status(500).json({
+      error: "Failed to fetch pipeline",
+    });
+  }
+});
+
+// GET - Likely duplicates grouped by normalized email, phone digits and company (Admin only)
+router.get("/duplicates", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const { page, limit, skip } = parseListQuery(req.query, {
+      params: ["page", "limit"],
+      sortable: ["createdAt"],
+      defaultLimit: 20,
+    });
+
+    const { groups, total } = await findDuplicateGroups({ skip, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      groups,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalGroups: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit,
+      },
+    });
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error finding duplicate contacts:", error);
+    res.status(500).json({
+      error: "Failed to find duplicate contacts",
+    });
+  }
+});
+
 // GET - Get contact by ID (Admin only)
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("contacts:read"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const contact = await Contact.findById(id);
+    const contact = await Contact.findById(id).populate("assignedTo", ASSIGNEE_FIELDS);
 
     if (!contact) {
       return res.status(404).json({
@@ -194,7 +530,21 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    res.json(contact);
+    const [activity, mergedContacts] = await Promise.all([
+      ContactActivity.find({ contact: contact._id })
+        .sort({ occurredAt: -1 })
+        .lean(),
+      Contact.find({ mergedInto: contact._id })
+        .select("name email createdAt mergedAt")
+        .lean(),
+    ]);
+
+    res.json({
+      ...contact.toJSON(),
+      attachments: withDownloadUrls(contact.attachments),
+      activity,
+      mergedContacts,
+    });
   } catch (error) {
     console.error("Error fetching contact:", error);
 
@@ -210,16 +560,341 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// GET - Get contact activity timeline (Admin only)
+router.get("/:id/activity", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const contactExists = await Contact.exists({ _id: id });
+    if (!contactExists) {
+      return res.status(404).json({
+        error: "Contact not found",
+      });
+    }
+
+    const activity = await ContactActivity.find({ contact: id })
+      .sort({ occurredAt: -1 })
+      .lean();
+
+    res.json({ activity });
+  } catch (error) {
+    console.error("Error fetching contact activity:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid contact ID",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to fetch contact activity",
+    });
+  }
+});
+
+// POST - Add a note, call or meeting to the contact timeline (Admin only)
+router.post("/:id/activity", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type = "note", body, occurredAt, durationMinutes } = req.body;
+
+    if (!["note", "call", "meeting"].includes(type)) {
+      return res.status(400).json({
+        error: "Activity type must be one of: note, call, meeting",
+      });
+    }
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({
+        error: "Activity body is required",
+      });
+    }
+
+    if (occurredAt && isNaN(new Date(occurredAt).getTime())) {
+      return res.status(400).json({
+        error: "occurredAt must be a valid date",
+      });
+    }
+
+    const contactExists = await Contact.exists({ _id: id });
+    if (!contactExists) {
+      return res.status(404).json({
+        error: "Contact not found",
+      });
+    }
+
+    const activity = await addContactActivity(req, id, {
+      type,
+      body: String(body),
+      occurredAt: occurredAt ? new Date(occurredAt) : undefined,
+      durationMinutes,
+    });
+    await markFirstResponse(id, activity.createdAt);
+
+    res.status(201).json({
+      message: "Activity added successfully",
+      activity,
+    });
+  } catch (error) {
+    console.error("Error adding contact activity:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid contact ID",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to add contact activity",
+    });
+  }
+});
+
+// GET - Email thread with the inquirer, oldest first (Admin only)
+router.get("/:id/thread", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const contactExists = await Contact.exists({ _id: id });
+    if (!contactExists) {
+      return res.status(404).json({
+        error: "Contact not found",
+      });
+    }
+
+    const thread = await ContactMessage.find({ contact: id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({ thread });
+  } catch (error) {
+    console.error("Error fetching contact thread:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid contact ID",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to fetch contact thread",
+    });
+  }
+});
+
+// POST - Email the inquirer and keep the message on the thread (Admin only)
+router.post("/:id/reply", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { subject, text, html } = req.body;
+
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({
+        error: "Reply text is required",
+      });
+    }
+
+    const contact = await Contact.findById(id);
+    if (!contact) {
+      return res.status(404).json({
+        error: "Contact not found",
+      });
+    }
+
+    const message = await sendContactReply(req, contact, {
+      subject: subject ? String(subject) : undefined,
+      text: String(text),
+      html: html ? String(html) : undefined,
+    });
+
+    if (message.status === "failed") {
+      return res.status(502).json({
+        error: "Failed to send reply",
+        details: message.error,
+        message,
+      });
+    }
+
+    // First reply moves a new lead to "contacted"
+    let updatedContact = contact;
+    if (contact.status === "new") {
+      const before = contact.toObject();
+      updatedContact = await Contact.findByIdAndUpdate(id, { status: "contacted" }, { new: true });
+      await recordAudit(req, { entityType: "contact", entityId: id, action: "update", before, after: updatedContact });
+      await recordContactChanges(req, before, updatedContact);
+    }
+    await markFirstResponse(id, message.createdAt);
+
+    res.status(201).json({
+      message: "Reply sent successfully",
+      reply: message,
+      contact: updatedContact,
+    });
+  } catch (error) {
+    console.error("Error sending contact reply:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid contact ID",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to send reply",
+    });
+  }
+});
+
+// POST - Merge duplicate contacts into this one (Admin only)
+router.post("/:id/merge", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { contact, merged } = await mergeContacts(req, req.params.id, req.body.duplicateIds);
+
+    res.json({
+      message: `Merged ${merged.length} contact(s) successfully`,
+      contact,
+      merged,
+    });
+  } catch (error) {
+    if (error.name === "MergeError") {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    console.error("Error merging contacts:", error);
+    res.status(500).json({
+      error: "Failed to merge contacts",
+    });
+  }
+});
+
+// PATCH - Record quote amount, expected close date and won/lost outcome (Admin only)
+router.patch("/:id/deal", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await Contact.findById(id).lean();
+    if (!before) {
+      return res.status(404).json({
+        error: "Contact not found",
+      });
+    }
+
+    if (before.status === "spam") {
+      return res.status(400).json({
+        error: "Release the contact from spam before recording a deal",
+      });
+    }
+
+    const { errors, update } = buildDealUpdate(req.body, before);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        error: "No deal fields provided",
+      });
+    }
+
+    if (before.status === "new" && isResponseStatus(update.status) && !before.firstResponseAt) {
+      update.firstResponseAt = new Date();
+    }
+    if (update.status && update.status !== before.status) update.archivedAt = null;
+
+    const updatedContact = await Contact.findByIdAndUpdate(id, update, {
+      new: true,
+      runValidators: true,
+    });
+
+    await recordAudit(req, { entityType: "contact", entityId: id, action: "update-deal", before, after: updatedContact });
+    await recordContactChanges(req, before, updatedContact);
+
+    const { deal } = updatedContact;
+    await addContactActivity(req, id, {
+      type: "deal",
+      from: before.deal?.outcome || undefined,
+      to: deal.outcome || undefined,
+      body: [
+        deal.quotedAmount != null && `Quoted ${deal.quotedAmount} ${deal.currency}`,
+        deal.expectedCloseDate && `expected close ${deal.expectedCloseDate.toISOString().slice(0, 10)}`,
+        deal.outcome && `deal ${deal.outcome}${deal.lostReason ? `: ${deal.lostReason}` : ""}`,
+      ].filter(Boolean).join(", ") || "Deal details cleared",
+    }).catch((error) => console.error("Contact activity error:", error));
+
+    res.json({
+      message: "Deal updated successfully",
+      contact: updatedContact,
+    });
+  } catch (error) {
+    console.error("Error updating deal:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid contact ID",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to update deal",
+    });
+  }
+});
+
 // PUT - Update contact (Admin only)
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("contacts:write"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, priority, isRead } = req.body;
+    const { status, priority, isRead, assignedTo } = req.body;
+
+    const before = await Contact.findById(id).lean();
 
     const updateData = {};
     if (status) updateData.status = status;
-    if (priority) updateData.priority = priority;
+    // Retention counts from the move to "archived", not from later edits
+    if (status && status !== before?.status) updateData.archivedAt = status === "archived" ? new Date() : null;
+    if (priority) {
+      updateData.priority = priority;
+      updateData["scoring.manualPriority"] = true;
+    }
     if (isRead !== undefined) updateData.isRead = isRead;
+    if (assignedTo !== undefined) {
+      updateData.assignedTo = await resolveAssignee(assignedTo);
+      updateData.assignedAt = updateData.assignedTo ? new Date() : null;
+    }
+
+    // SLA: moving out of "new" is the first response; a new priority moves the due date
+    if (before && !before.firstResponseAt) {
+      if (before.status === "new" && isResponseStatus(status)) updateData.firstResponseAt = new Date();
+      if (priority && priority !== before.priority) updateData.slaDueAt = getSlaDueAt(getSlaStart(before), priority);
+    }
 
     const updatedContact = await Contact.findByIdAndUpdate(id, updateData, {
       new: true,
@@ -232,6 +907,9 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    await recordAudit(req, { entityType: "contact", entityId: id, action: "update", before, after: updatedContact });
+    await recordContactChanges(req, before, updatedContact);
+
     res.json({
       message: "Contact updated successfully",
       contact: updatedContact,
@@ -239,6 +917,12 @@ router.put("/:id", async (req, res) => {
   } catch (error) {
     console.error("Error updating contact:", error);
 
+    if (error.name === "AssignmentError") {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
     if (error.name === "ValidationError") {
       const errors = Object.values(error.errors).map((err) => err.message);
       return res.status(400).json({
@@ -260,11 +944,12 @@ router.put("/:id", async (req, res) => {
 });
 
 // PATCH - Mark contact as read/unread (Admin only)
-router.patch("/:id/read", async (req, res) => {
+router.patch("/:id/read", requirePermission("contacts:write"), async (req, res) => {
   try {
     const { id } = req.params;
     const { isRead = true } = req.body;
 
+    const before = await Contact.findById(id).lean();
     const updatedContact = await Contact.findByIdAndUpdate(
       id,
       { isRead },
@@ -277,6 +962,9 @@ router.patch("/:id/read", async (req, res) => {
       });
     }
 
+    await recordAudit(req, { entityType: "contact", entityId: id, action: "update", before, after: updatedContact });
+    await recordContactChanges(req, before, updatedContact);
+
     res.json({
       message: `Contact marked as ${isRead ? "read" : "unread"}`,
       contact: updatedContact,
@@ -296,8 +984,96 @@ router.patch("/:id/read", async (req, res) => {
   }
 });
 
+// PATCH - Release a contact from the spam queue (Admin only)
+router.patch("/:id/release", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await Contact.findById(id).lean();
+    if (!before) {
+      return res.status(404).json({
+        error: "Contact not found",
+      });
+    }
+
+    if (before.status !== "spam") {
+      return res.status(400).json({
+        error: "Contact is not marked as spam",
+      });
+    }
+
+    // The SLA clock starts when the contact is released
+    const slaStartedAt = new Date();
+    const updatedContact = await Contact.findByIdAndUpdate(
+      id,
+      { status: "new", slaStartedAt, slaDueAt: getSlaDueAt(slaStartedAt, before.priority) },
+      { new: true, runValidators: true }
+    );
+
+    await recordAudit(req, { entityType: "contact", entityId: id, action: "release-spam", before, after: updatedContact });
+    await recordContactChanges(req, before, updatedContact);
+
+    res.json({
+      message: "Contact released from spam",
+      contact: updatedContact,
+    });
+  } catch (error) {
+    console.error("Error releasing contact from spam:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid contact ID",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to release contact",
+    });
+  }
+});
+
+// PATCH - Mark a contact as spam (Admin only)
+router.patch("/:id/spam", requirePermission("contacts:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await Contact.findById(id).lean();
+    const updatedContact = await Contact.findByIdAndUpdate(
+      id,
+      { status: "spam", archivedAt: null, $push: { "spam.reasons": "marked as spam by admin" } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedContact) {
+      return res.status(404).json({
+        error: "Contact not found",
+      });
+    }
+
+    await recordAudit(req, { entityType: "contact", entityId: id, action: "mark-spam", before, after: updatedContact });
+    await recordContactChanges(req, before, updatedContact);
+
+    res.json({
+      message: "Contact marked as spam",
+      contact: updatedContact,
+    });
+  } catch (error) {
+    console.error("Error marking contact as spam:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid contact ID",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to mark contact as spam",
+    });
+  }
+});
+
 // DELETE - Delete contact (Admin only)
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("contacts:delete"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -309,8 +1085,15 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    await recordAudit(req, { entityType: "contact", entityId: id, action: "delete", before: deletedContact });
+    await ContactActivity.deleteMany({ contact: deletedContact._id });
+    await ContactMessage.deleteMany({ contact: deletedContact._id });
+    await deleteContactAttachments(deletedContact);
+    const mergedDeleted = await deleteMergedDuplicates(req, [deletedContact._id]);
+
     res.json({
       message: "Contact deleted successfully",
+      mergedDeleted,
     });
   } catch (error) {
     console.error("Error deleting contact:", error);
@@ -327,13 +1110,83 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// GET - Open-lead counts per assignee (Admin only)
+router.get("/stats/workload", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const [counts, members] = await Promise.all([
+      Contact.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES } } },
+        {
+          $group: {
+            _id: "$assignedTo",
+            open: { $sum: 1 },
+            new: { $sum: { $cond: [{ $eq: ["$status", "new"] }, 1, 0] } },
+            urgent: { $sum: { $cond: [{ $eq: ["$priority", "urgent"] }, 1, 0] } },
+          },
+        },
+      ]),
+      Team.find({ isActive: true }).select(ASSIGNEE_FIELDS).sort({ order: 1 }).lean(),
+    ]);
+
+    const countsByMember = new Map(counts.map((item) => [String(item._id), item]));
+    const emptyCounts = { open: 0, new: 0, urgent: 0 };
+
+    const workload = members.map((member) => {
+      const { open, new: newCount, urgent } = countsByMember.get(String(member._id)) || emptyCounts;
+      return { member, open, new: newCount, urgent };
+    });
+
+    // Leads still assigned to members who have since been deactivated
+    const activeIds = new Set(members.map((member) => String(member._id)));
+    const inactiveAssigneeOpen = counts
+      .filter((item) => item._id && !activeIds.has(String(item._id)))
+      .reduce((sum, item) => sum + item.open, 0);
+
+    const unassigned = countsByMember.get("null") || emptyCounts;
+
+    res.json({
+      workload: workload.sort((a, b) => b.open - a.open),
+      unassigned: { open: unassigned.open, new: unassigned.new, urgent: unassigned.urgent },
+      inactiveAssigneeOpen,
+    });
+  } catch (error) {
+    console.error("Error fetching contact workload:", error);
+    res.status(500).json({
+      error: "Failed to fetch contact workload",
+    });
+  }
+});
+
+// GET - Conversion from projectType and budget band to won deals (Admin only)
+router.get("/stats/conversion", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    assertAllowedParams(req.query, ["dateFrom", "dateTo"]);
+
+    const filter = { status: { $ne: "spam" }, mergedInto: null };
+    const createdAt = parseDateRange(req.query.dateFrom, req.query.dateTo);
+    if (createdAt) filter.createdAt = createdAt;
+
+    res.json(await getConversionReport(filter));
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error fetching conversion report:", error);
+    res.status(500).json({
+      error: "Failed to fetch conversion report",
+    });
+  }
+});
+
 // GET - Get contact statistics (Admin only)
-router.get("/stats/overview", async (req, res) => {
+router.get("/stats/overview", requirePermission("contacts:read"), async (req, res) => {
   try {
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const startOfWeek = new Date(now.setDate(now.getDate() - now.getDay()));
 
+    // Merged duplicates are counted through their canonical contact
+    const notSpam = { status: { $ne: "spam" }, mergedInto: null };
+
     const [
       totalContacts,
       newContacts,
@@ -345,19 +1198,32 @@ router.get("/stats/overview", async (req, res) => {
       statusStats,
       priorityStats,
       projectTypeStats,
+      spamContacts,
+      slaStats,
+      attributionStats,
     ] = await Promise.all([
-      Contact.countDocuments(),
-      Contact.countDocuments({ status: "new" }),
-      Contact.countDocuments({ status: "contacted" }),
-      Contact.countDocuments({ status: "in-progress" }),
-      Contact.countDocuments({ status: "closed" }),
-      Contact.countDocuments({ createdAt: { $gte: startOfMonth } }),
-      Contact.countDocuments({ createdAt: { $gte: startOfWeek } }),
-      Contact.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
-      Contact.aggregate([{ $group: { _id: "$priority", count: { $sum: 1 } } }]),
+      Contact.countDocuments(notSpam),
+      Contact.countDocuments({ status: "new", mergedInto: null }),
+      Contact.countDocuments({ status: "contacted", mergedInto: null }),
+      Contact.countDocuments({ status: "in-progress", mergedInto: null }),
+      Contact.countDocuments({ status: "closed", mergedInto: null }),
+      Contact.countDocuments({ ...notSpam, createdAt: { $gte: startOfMonth } }),
+      Contact.countDocuments({ ...notSpam, createdAt: { $gte: startOfWeek } }),
+      Contact.aggregate([
+        { $match: notSpam },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      Contact.aggregate([
+        { $match: notSpam },
+        { $group: { _id: "$priority", count: { $sum: 1 } } },
+      ]),
       Contact.aggregate([
+        { $match: notSpam },
         { $group: { _id: "$projectType", count: { $sum: 1 } } },
       ]),
+      Contact.countDocuments({ status: "spam", mergedInto: null }),
+      getSlaStats(notSpam),
+      getAttributionBreakdown(notSpam),
     ]);
 
     res.json({
@@ -367,6 +1233,7 @@ router.get("/stats/overview", async (req, res) => {
         contacted: contactedContacts,
         inProgress: inProgressContacts,
         closed: closedContacts,
+        spam: spamContacts,
       },
       thisMonth: thisMonthContacts,
       thisWeek: thisWeekContacts,
@@ -382,6 +1249,8 @@ router.get("/stats/overview", async (req, res) => {
         acc[item._id] = item.count;
         return acc;
       }, {}),
+      sla: slaStats,
+      attribution: attributionStats,
     });
   } catch (error) {
     console.error("Error fetching contact stats:", error);
@@ -392,7 +1261,7 @@ router.get("/stats/overview", async (req, res) => {
 });
 
 // POST - Bulk update contact status (Admin only)
-router.post("/bulk/update", async (req, res) => {
+router.post("/bulk/update", requirePermission("contacts:write"), async (req, res) => {
   try {
     const { ids, updateData } = req.body;
 
@@ -402,15 +1271,56 @@ router.post("/bulk/update", async (req, res) => {
       });
     }
 
-    const result = await Contact.updateMany({ _id: { $in: ids } }, updateData, {
+    const update = pickAllowedFields(updateData, CONTACT_BULK_UPDATE_FIELDS);
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        error: "Update data is required",
+      });
+    }
+
+    if (update.assignedTo !== undefined) {
+      update.assignedTo = await resolveAssignee(update.assignedTo);
+      update.assignedAt = update.assignedTo ? new Date() : null;
+    }
+    if (update.priority !== undefined) update["scoring.manualPriority"] = true;
+
+    const before = await Contact.find({ _id: { $in: ids } }).lean();
+    const result = await Contact.updateMany({ _id: { $in: ids } }, update, {
       runValidators: true,
     });
 
+    if (update.status !== undefined) await syncArchivedAt({ _id: { $in: ids } });
+    if (isResponseStatus(update.status)) {
+      await markFirstResponse(before.filter((contact) => contact.status === "new").map((contact) => contact._id));
+    }
+    if (update.priority !== undefined) {
+      await refreshSlaDueAt({ _id: { $in: ids } }, update.priority);
+    }
+
+    const after = await Contact.find({ _id: { $in: ids } }).lean();
+    await recordBulkAudit(req, { entityType: "contact", action: "bulk-update", before, after });
+    await recordContactChanges(req, before, after);
+
     res.json({
       message: `${result.modifiedCount} contacts updated successfully`,
       modifiedCount: result.modifiedCount,
     });
   } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    if (error.name === "AssignmentError") {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [error.message],
+      });
+    }
+
     console.error("Error bulk updating contacts:", error);
     res.status(500).json({
       error: "Failed to update contacts",
@@ -419,7 +1329,7 @@ router.post("/bulk/update", async (req, res) => {
 });
 
 // DELETE - Bulk delete contacts (Admin only)
-router.post("/bulk/delete", async (req, res) => {
+router.post("/bulk/delete", requirePermission("contacts:delete"), async (req, res) => {
   try {
     const { ids } = req.body;
 
@@ -429,11 +1339,18 @@ router.post("/bulk/delete", async (req, res) => {
       });
     }
 
+    const before = await Contact.find({ _id: { $in: ids } }).lean();
     const result = await Contact.deleteMany({ _id: { $in: ids } });
+    await recordBulkAudit(req, { entityType: "contact", action: "bulk-delete", before });
+    await ContactActivity.deleteMany({ contact: { $in: before.map((contact) => contact._id) } });
+    await ContactMessage.deleteMany({ contact: { $in: before.map((contact) => contact._id) } });
+    await deleteContactAttachments(before);
+    const mergedDeleted = await deleteMergedDuplicates(req, before.map((contact) => contact._id));
 
     res.json({
       message: `${result.deletedCount} contacts deleted successfully`,
       deletedCount: result.deletedCount,
+      mergedDeleted,
     });
   } catch (error) {
     console.error("Error bulk deleting contacts:", error);
@@ -0,0 +1,168 @@
+import express from "express";
+import EmailTemplate from "../models/EmailTemplate.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  DEFAULT_TEMPLATES,
+  SAMPLE_VARIABLES,
+  getTemplate,
+  renderTemplate,
+  findUnknownVariables,
+} from "../utils/emailTemplates.js";
+
+const router = express.Router();
+
+// Helper function to 404 on keys that have no built-in template
+const loadTemplate = async (req, res) => {
+  const template = await getTemplate(req.params.key);
+  if (!template) {
+    res.status(404).json({ error: "Email template not found" });
+  }
+  return template;
+};
+
+// Helper function to reject non-string subject/text/html. Returns an error message or null.
+const checkTemplateFields = (body) => {
+  const invalid = ["subject", "text", "html"].filter(
+    (field) => body[field] !== undefined && body[field] !== null && typeof body[field] !== "string"
+  );
+  return invalid.length > 0 ? `${invalid.join(", ")} must be a string` : null;
+};
+
+// GET - List templates (built-in defaults merged with admin overrides)
+router.get("/", requirePermission("emailTemplates:read"), async (req, res) => {
+  try {
+    const templates = await Promise.all(Object.keys(DEFAULT_TEMPLATES).map(getTemplate));
+    res.json({ templates });
+  } catch (error) {
+    console.error("Error fetching email templates:", error);
+    res.status(500).json({ error: "Failed to fetch email templates" });
+  }
+});
+
+// GET - Get a single template
+router.get("/:key", requirePermission("emailTemplates:read"), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    res.json(template);
+  } catch (error) {
+    console.error("Error fetching email template:", error);
+    res.status(500).json({ error: "Failed to fetch email template" });
+  }
+});
+
+// PUT - Customize a template
+router.put("/:key", requirePermission("emailTemplates:write"), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    const fieldError = checkTemplateFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const subject = req.body.subject ?? template.subject;
+    const text = req.body.text ?? template.text;
+    const html = req.body.html ?? template.html;
+    const isActive = req.body.isActive ?? template.isActive;
+
+    const unknown = findUnknownVariables(template.key, { subject, text, html });
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: "Unknown template variables",
+        details: unknown,
+        variables: template.variables,
+      });
+    }
+
+    const before = await EmailTemplate.findOne({ key: template.key });
+    const saved = await EmailTemplate.findOneAndUpdate(
+      { key: template.key },
+      { subject, text, html, isActive: Boolean(isActive), updatedBy: req.user?._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    await recordAudit(req, {
+      entityType: "email-template",
+      entityId: saved._id,
+      action: before ? "update" : "create",
+      before,
+      after: saved,
+      metadata: { key: template.key },
+    });
+
+    res.json({
+      message: "Email template updated successfully",
+      template: await getTemplate(template.key),
+    });
+  } catch (error) {
+    console.error("Error updating email template:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to update email template" });
+  }
+});
+
+// DELETE - Discard the customization and restore the built-in template
+router.delete("/:key", requirePermission("emailTemplates:write"), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    const removed = await EmailTemplate.findOneAndDelete({ key: template.key });
+    if (removed) {
+      await recordAudit(req, {
+        entityType: "email-template",
+        entityId: removed._id,
+        action: "delete",
+        before: removed,
+        metadata: { key: template.key },
+      });
+    }
+
+    res.json({
+      message: "Email template reset to default",
+      template: await getTemplate(template.key),
+    });
+  } catch (error) {
+    console.error("Error resetting email template:", error);
+    res.status(500).json({ error: "Failed to reset email template" });
+  }
+});
+
+// POST - Render a preview. Unsaved subject/text/html drafts and variables may be sent in the body.
+router.post("/:key/preview", requirePermission("emailTemplates:read"), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    const fieldError = checkTemplateFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const draft = {
+      subject: req.body.subject ?? template.subject,
+      text: req.body.text ?? template.text,
+      html: req.body.html ?? template.html,
+    };
+    const variables = { ...SAMPLE_VARIABLES, ...(req.body.variables || {}) };
+
+    res.json({
+      preview: renderTemplate(draft, variables),
+      variables,
+      unknownVariables: findUnknownVariables(template.key, draft),
+    });
+  } catch (error) {
+    console.error("Error previewing email template:", error);
+    res.status(500).json({ error: "Failed to preview email template" });
+  }
+});
+
+export default router;
@@ -0,0 +1,197 @@
+import express from "express";
+import FormOption from "../models/FormOption.js";
+import Contact from "../models/Contact.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  FORM_FIELDS,
+  getPublicFormOptions,
+  refreshFormOptions,
+  validateFormOption,
+} from "../utils/formOptions.js";
+
+const router = express.Router();
+
+// Helper function to keep at least one active option for required fields. Returns an error message or null.
+const checkLastActive = async (option) => {
+  if (!FORM_FIELDS[option.field]?.required) return null;
+
+  const others = await FormOption.countDocuments({ field: option.field, isActive: true, _id: { $ne: option._id } });
+  return others === 0 ? `At least one active ${option.field} option is required` : null;
+};
+
+// GET - Active options for the public contact form (?currency=INR limits budget bands to that currency)
+router.get("/", async (req, res) => {
+  try {
+    const { currency } = req.query;
+    if (currency !== undefined && !/^[A-Za-z]{3}$/.test(currency)) {
+      return res.status(400).json({ error: "Currency must be a 3-letter ISO code" });
+    }
+
+    res.json(await getPublicFormOptions(currency));
+  } catch (error) {
+    console.error("Error fetching form options:", error);
+    res.status(500).json({ error: "Failed to fetch form options" });
+  }
+});
+
+// GET - Every option, including inactive ones, with the number of contacts using each
+router.get("/all", requirePermission("formOptions:read"), async (req, res) => {
+  try {
+    const options = await FormOption.find().sort({ field: 1, order: 1, label: 1 }).lean();
+
+    const usage = {};
+    await Promise.all(
+      Object.keys(FORM_FIELDS).map(async (field) => {
+        const counts = await Contact.aggregate([{ $group: { _id: `$${field}`, count: { $sum: 1 } } }]);
+        for (const { _id, count } of counts) usage[`${field}:${_id}`] = count;
+      })
+    );
+
+    res.json({
+      options: options.map((option) => ({ ...option, contactCount: usage[`${option.field}:${option.value}`] || 0 })),
+    });
+  } catch (error) {
+    console.error("Error fetching form options:", error);
+    res.status(500).json({ error: "Failed to fetch form options" });
+  }
+});
+
+// POST - Add an option
+router.post("/", requirePermission("formOptions:write"), async (req, res) => {
+  try {
+    const { field, value, label, order, isActive = true, ranges = [] } = req.body;
+
+    if (!field || !value || !label) {
+      return res.status(400).json({ error: "field, value and label are required" });
+    }
+
+    const errors = validateFormOption({ field, ranges });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    const existing = await FormOption.findOne({ field, value: String(value).toLowerCase().trim() });
+    if (existing) {
+      return res.status(400).json({ error: `A ${field} option with this value already exists` });
+    }
+
+    // New options go to the end of the list unless an order is given
+    const last = await FormOption.findOne({ field }).sort({ order: -1 });
+    const option = await FormOption.create({
+      field,
+      value,
+      label,
+      order: order ?? (last ? last.order + 1 : 0),
+      isActive: Boolean(isActive),
+      ranges,
+      updatedBy: req.user?._id,
+    });
+    await refreshFormOptions();
+    await recordAudit(req, { entityType: "form-option", entityId: option._id, action: "create", after: option });
+
+    res.status(201).json({ message: "Form option created successfully", option });
+  } catch (error) {
+    console.error("Error creating form option:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to create form option" });
+  }
+});
+
+// PUT - Update label, order, active flag or budget ranges. The value is fixed once contacts may use it.
+router.put("/:id", requirePermission("formOptions:write"), async (req, res) => {
+  try {
+    const option = await FormOption.findById(req.params.id);
+    if (!option) {
+      return res.status(404).json({ error: "Form option not found" });
+    }
+
+    const { field, value, label, order, isActive, ranges } = req.body;
+    if ((field !== undefined && field !== option.field) || (value !== undefined && value !== option.value)) {
+      return res.status(400).json({ error: "An option's field and value cannot be changed; add a new option instead" });
+    }
+
+    const errors = validateFormOption({ field: option.field, ranges });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    if (isActive === false && option.isActive) {
+      const lastActive = await checkLastActive(option);
+      if (lastActive) {
+        return res.status(400).json({ error: lastActive });
+      }
+    }
+
+    const before = option.toObject();
+    if (label !== undefined) option.label = label;
+    if (order !== undefined) option.order = order;
+    if (isActive !== undefined) option.isActive = Boolean(isActive);
+    if (ranges !== undefined) option.ranges = ranges;
+    option.updatedBy = req.user?._id;
+
+    await option.save();
+    await refreshFormOptions();
+    await recordAudit(req, { entityType: "form-option", entityId: option._id, action: "update", before, after: option });
+
+    res.json({ message: "Form option updated successfully", option });
+  } catch (error) {
+    console.error("Error updating form option:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid form option ID" });
+    }
+
+    res.status(500).json({ error: "Failed to update form option" });
+  }
+});
+
+// DELETE - Remove an option no contact uses; used options should be deactivated instead
+router.delete("/:id", requirePermission("formOptions:delete"), async (req, res) => {
+  try {
+    const option = await FormOption.findById(req.params.id);
+    if (!option) {
+      return res.status(404).json({ error: "Form option not found" });
+    }
+
+    const contactCount = await Contact.countDocuments({ [option.field]: option.value });
+    if (contactCount > 0) {
+      return res.status(400).json({
+        error: `Option is used by ${contactCount} contact(s) and cannot be deleted; deactivate it instead`,
+      });
+    }
+
+    if (option.isActive) {
+      const lastActive = await checkLastActive(option);
+      if (lastActive) {
+        return res.status(400).json({ error: lastActive });
+      }
+    }
+
+    await FormOption.findByIdAndDelete(option._id);
+    await refreshFormOptions();
+    await recordAudit(req, { entityType: "form-option", entityId: option._id, action: "delete", before: option });
+
+    res.json({ message: "Form option deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting form option:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid form option ID" });
+    }
+
+    res.status(500).json({ error: "Failed to delete form option" });
+  }
+});
+
+export default router;
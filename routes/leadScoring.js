@@ -0,0 +1,103 @@
+import express from "express";
+import LeadScoringConfig from "../models/LeadScoringConfig.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  DEFAULT_SCORING,
+  getScoringConfig,
+  validateScoringConfig,
+  rescoreAllContacts,
+} from "../utils/leadScoring.js";
+
+const router = express.Router();
+
+// GET - Current scoring model (defaults merged with saved changes)
+router.get("/", requirePermission("leadScoring:read"), async (req, res) => {
+  try {
+    res.json({ config: await getScoringConfig(), defaults: DEFAULT_SCORING });
+  } catch (error) {
+    console.error("Error fetching lead scoring config:", error);
+    res.status(500).json({ error: "Failed to fetch lead scoring config" });
+  }
+});
+
+// PUT - Update weights/thresholds (weights and thresholds merge per key) and re-score all contacts
+router.put("/", requirePermission("leadScoring:write"), async (req, res) => {
+  try {
+    const errors = validateScoringConfig(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    const before = await getScoringConfig();
+    const { budgetWeights, timelineWeights, autoPriority, ...rest } = req.body;
+    const update = { ...rest, updatedBy: req.user?._id };
+    if (budgetWeights) update.budgetWeights = { ...before.budgetWeights, ...budgetWeights };
+    if (timelineWeights) update.timelineWeights = { ...before.timelineWeights, ...timelineWeights };
+    if (autoPriority) {
+      update.autoPriority = {
+        enabled: autoPriority.enabled ?? before.autoPriority.enabled,
+        thresholds: { ...before.autoPriority.thresholds, ...(autoPriority.thresholds || {}) },
+      };
+    }
+
+    const saved = await LeadScoringConfig.findOneAndUpdate({ key: "default" }, update, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+    });
+    const after = await getScoringConfig();
+    await recordAudit(req, { entityType: "lead-scoring", entityId: saved._id, action: "update", before, after });
+
+    const rescored = await rescoreAllContacts(req);
+
+    res.json({
+      message: "Lead scoring updated successfully",
+      config: after,
+      rescored,
+    });
+  } catch (error) {
+    console.error("Error updating lead scoring config:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to update lead scoring config" });
+  }
+});
+
+// DELETE - Restore the default scoring model and re-score all contacts
+router.delete("/", requirePermission("leadScoring:write"), async (req, res) => {
+  try {
+    const removed = await LeadScoringConfig.findOneAndDelete({ key: "default" });
+    if (removed) {
+      await recordAudit(req, { entityType: "lead-scoring", entityId: removed._id, action: "delete", before: removed });
+    }
+
+    const rescored = await rescoreAllContacts(req);
+
+    res.json({
+      message: "Lead scoring reset to defaults",
+      config: await getScoringConfig(),
+      rescored,
+    });
+  } catch (error) {
+    console.error("Error resetting lead scoring config:", error);
+    res.status(500).json({ error: "Failed to reset lead scoring config" });
+  }
+});
+
+// POST - Re-score all contacts with the current model
+router.post("/rescore", requirePermission("leadScoring:write"), async (req, res) => {
+  try {
+    const rescored = await rescoreAllContacts(req);
+    res.json({ message: `${rescored} contacts re-scored`, rescored });
+  } catch (error) {
+    console.error("Error re-scoring contacts:", error);
+    res.status(500).json({ error: "Failed to re-score contacts" });
+  }
+});
+
+export default router;
@@ -1,6 +1,16 @@
 import express from "express";
 import Portfolio from "../models/Portfolio.js";
 import { deleteImage } from "../utils/cloudinary.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit, recordBulkAudit } from "../utils/audit.js";
+import {
+  escapeRegex,
+  parseListQuery,
+  parseEnumFilter,
+  parseBooleanFilter,
+  buildSearchFilter,
+  sendQueryError
+} from "../utils/query.js";
 
 const router = express.Router();
 
@@ -55,7 +65,7 @@ async function deleteMultipleImages(imageUrls, publicIds = []) {
 }
 
 // Create portfolio project
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("portfolio:write"), async (req, res) => {
   try {
     const {
       title,
@@ -90,7 +100,7 @@ router.post("/", async (req, res) => {
 
     // Check for duplicate title/slug
     const existingProject = await Portfolio.findOne({ 
-      title: { $regex: new RegExp(`^${title}$`, 'i') } 
+      title: { $regex: new RegExp(`^${escapeRegex(title)}$`, 'i') } 
     });
     
     if (existingProject) {
@@ -118,6 +128,7 @@ router.post("/", async (req, res) => {
     });
 
     await portfolio.save();
+    await recordAudit(req, { entityType: "portfolio", entityId: portfolio._id, action: "create", after: portfolio });
     
     res.status(201).json({ 
       message: "Portfolio project created successfully", 
@@ -134,75 +145,61 @@ router.post("/", async (req, res) => {
 // Get all portfolio projects with filtering and pagination
 router.get("/", async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      status,
-      featured,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { category, status, featured, search } = req.query;
+    const { page, limit, skip, sort } = parseListQuery(req.query, {
+      params: ['page', 'limit', 'category', 'status', 'featured', 'search', 'sortBy', 'sortOrder'],
+      sortable: ['createdAt', 'updatedAt', 'completedDate', 'title', 'clientName', 'category', 'status', 'featured']
+    });
 
-    // Build filter object
+    // Build filter object ('all' means no filter)
     const filter = {};
     
     if (category && category !== 'all') {
-      filter.category = category;
+      filter.category = parseEnumFilter(category, Portfolio.schema.path('category').enumValues, 'category');
     }
     
     if (status && status !== 'all') {
-      filter.status = status;
+      filter.status = parseEnumFilter(status, Portfolio.schema.path('status').enumValues, 'status');
     }
     
-    if (featured !== undefined) {
-      filter.featured = featured === 'true';
+    const isFeatured = parseBooleanFilter(featured, 'featured');
+    if (isFeatured !== undefined) {
+      filter.featured = isFeatured;
     }
     
     if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } },
-        { clientName: { $regex: search, $options: 'i' } },
-        { technologies: { $in: [new RegExp(search, 'i')] } }
-      ];
+      filter.$or = buildSearchFilter(search, ['title', 'excerpt', 'clientName', 'technologies']);
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
     // Execute query
     const [portfolios, total] = await Promise.all([
       Portfolio.find(filter)
         .sort(sort)
         .skip(skip)
-        .limit(parseInt(limit))
+        .limit(limit)
         .lean(),
       Portfolio.countDocuments(filter)
     ]);
 
     // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    const hasNextPage = parseInt(page) < totalPages;
-    const hasPrevPage = parseInt(page) > 1;
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
 
     res.json({
       portfolios,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalItems: total,
-        itemsPerPage: parseInt(limit),
+        itemsPerPage: limit,
         hasNextPage,
         hasPrevPage
       }
     });
   } catch (err) {
+    if (err.name === 'QueryError') return sendQueryError(res, err);
+
     console.error('Portfolio fetch error:', err);
     res.status(500).json({ 
       error: err.message || "Failed to fetch portfolio projects" 
@@ -239,7 +236,7 @@ router.get("/:identifier", async (req, res) => {
 });
 
 // Update portfolio project
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("portfolio:write"), async (req, res) => {
   try {
     const portfolio = await Portfolio.findById(req.params.id);
     if (!portfolio) {
@@ -314,7 +311,7 @@ router.put("/:id", async (req, res) => {
     // Check for duplicate title if title is being changed
     if (title && title !== portfolio.title) {
       const existingProject = await Portfolio.findOne({ 
-        title: { $regex: new RegExp(`^${title}$`, 'i') },
+        title: { $regex: new RegExp(`^${escapeRegex(title)}$`, 'i') },
         _id: { $ne: req.params.id }
       });
       
@@ -325,8 +322,10 @@ router.put("/:id", async (req, res) => {
       }
     }
 
+    const before = portfolio.toObject();
     Object.assign(portfolio, updateData);
     await portfolio.save();
+    await recordAudit(req, { entityType: "portfolio", entityId: portfolio._id, action: "update", before, after: portfolio });
     
     res.json({ 
       message: "Portfolio project updated successfully", 
@@ -341,7 +340,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete portfolio project
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("portfolio:delete"), async (req, res) => {
   try {
     const portfolio = await Portfolio.findById(req.params.id);
     if (!portfolio) {
@@ -371,6 +370,7 @@ router.delete("/:id", async (req, res) => {
     
     // Delete portfolio from database
     await Portfolio.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entityType: "portfolio", entityId: portfolio._id, action: "delete", before: portfolio });
     
     res.json({ 
       message: "Portfolio project and all associated images deleted successfully" 
@@ -426,15 +426,17 @@ router.get("/stats/overview", async (req, res) => {
 });
 
 // Toggle featured status
-router.patch("/:id/featured", async (req, res) => {
+router.patch("/:id/featured", requirePermission("portfolio:write"), async (req, res) => {
   try {
     const portfolio = await Portfolio.findById(req.params.id);
     if (!portfolio) {
       return res.status(404).json({ error: "Portfolio project not found" });
     }
 
+    const before = portfolio.toObject();
     portfolio.featured = !portfolio.featured;
     await portfolio.save();
+    await recordAudit(req, { entityType: "portfolio", entityId: portfolio._id, action: "update", before, after: portfolio });
 
     res.json({ 
       message: `Portfolio project ${portfolio.featured ? 'featured' : 'unfeatured'} successfully`,
@@ -449,7 +451,7 @@ router.patch("/:id/featured", async (req, res) => {
 });
 
 // Bulk operations
-router.post("/bulk/delete", async (req, res) => {
+router.post("/bulk/delete", requirePermission("portfolio:delete"), async (req, res) => {
   try {
     const { ids } = req.body;
     
@@ -489,6 +491,7 @@ router.post("/bulk/delete", async (req, res) => {
     
     // Delete portfolios from database
     const result = await Portfolio.deleteMany({ _id: { $in: ids } });
+    await recordBulkAudit(req, { entityType: "portfolio", action: "bulk-delete", before: portfolios });
     
     res.json({ 
       message: `${result.deletedCount} portfolio projects and their images deleted successfully`,
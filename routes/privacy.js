@@ -0,0 +1,78 @@
+import express from "express";
+import { requirePermission } from "../middleware/auth.js";
+import {
+  RETENTION_POLICY,
+  exportPersonalData,
+  erasePersonalData,
+  runRetention,
+} from "../utils/privacy.js";
+
+const router = express.Router();
+
+// Helper function to read and check the data subject's email (sent in the body to keep it out of URLs and logs)
+const readEmail = (req, res) => {
+  const { email } = req.body;
+  if (typeof email !== "string" || !/\S+@\S+\.\S+/.test(email)) {
+    res.status(400).json({ error: "A valid email address is required" });
+    return null;
+  }
+  return email.trim();
+};
+
+// POST - Export everything held about an email address as a JSON bundle
+router.post("/export", requirePermission("privacy:read"), async (req, res) => {
+  try {
+    const email = readEmail(req, res);
+    if (!email) return;
+
+    const bundle = await exportPersonalData(req, email);
+
+    res.set("Content-Disposition", `attachment; filename="personal-data-${Date.now()}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error("Error exporting personal data:", error);
+    res.status(500).json({ error: "Failed to export personal data" });
+  }
+});
+
+// POST - Erase (anonymize) every record for an email address. Requires { email, confirm: true }.
+router.post("/erase", requirePermission("privacy:delete"), async (req, res) => {
+  try {
+    const email = readEmail(req, res);
+    if (!email) return;
+
+    if (req.body.confirm !== true) {
+      return res.status(400).json({ error: "Erasure cannot be undone; send confirm: true to proceed" });
+    }
+
+    const erased = await erasePersonalData(req, email);
+
+    res.json({
+      message: erased.contacts
+        ? `Erased personal data from ${erased.contacts} contact(s)`
+        : "No contacts found for this email address",
+      erased,
+    });
+  } catch (error) {
+    console.error("Error erasing personal data:", error);
+    res.status(500).json({ error: "Failed to erase personal data" });
+  }
+});
+
+// GET - Current retention policy
+router.get("/retention", requirePermission("privacy:read"), (req, res) => {
+  res.json({ policy: RETENTION_POLICY });
+});
+
+// POST - Run the retention job now
+router.post("/retention/run", requirePermission("privacy:delete"), async (req, res) => {
+  const result = await runRetention(req);
+
+  if (result.error) {
+    return res.status(500).json({ error: "Failed to run retention job" });
+  }
+
+  res.json({ message: "Retention job completed", policy: RETENTION_POLICY, result });
+});
+
+export default router;
@@ -0,0 +1,206 @@
+import express from "express";
+import Role from "../models/Role.js";
+import AdminUser from "../models/AdminUser.js";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS, isValidPermission, canGrantPermission } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+
+const router = express.Router();
+
+// Helper function to validate a permissions array from the request body
+const findInvalidPermissions = (permissions) => {
+  return permissions.filter((permission) => !isValidPermission(permission));
+};
+
+// Helper function to find permissions the current user cannot hand out because they do not hold them
+const findUngrantedPermissions = (req, permissions) => {
+  return permissions.filter((permission) => !canGrantPermission(req.permissions, permission));
+};
+
+// GET - List available permissions
+router.get("/permissions", requirePermission("roles:read"), (req, res) => {
+  res.json({ permissions: PERMISSIONS });
+});
+
+// GET - List roles with their user counts
+router.get("/", requirePermission("roles:read"), async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      Role.find().sort({ name: 1 }).lean(),
+      AdminUser.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = userCounts.reduce((acc, item) => {
+      acc[String(item._id)] = item.count;
+      return acc;
+    }, {});
+
+    res.json({
+      roles: roles.map((role) => ({ ...role, userCount: counts[String(role._id)] || 0 })),
+    });
+  } catch (error) {
+    console.error("Error fetching roles:", error);
+    res.status(500).json({ error: "Failed to fetch roles" });
+  }
+});
+
+// POST - Create role
+router.post("/", requirePermission("roles:write"), async (req, res) => {
+  try {
+    const { name, description, permissions = [], requireTwoFactor = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Role name is required" });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ error: "Permissions must be an array" });
+    }
+
+    const invalid = findInvalidPermissions(permissions);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: "Invalid permissions", details: invalid });
+    }
+
+    const ungranted = findUngrantedPermissions(req, permissions);
+    if (ungranted.length > 0) {
+      return res.status(403).json({ error: "You cannot grant permissions you do not hold", details: ungranted });
+    }
+
+    const existing = await Role.findOne({ name: String(name).toLowerCase().trim() });
+    if (existing) {
+      return res.status(400).json({ error: "A role with this name already exists" });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      requireTwoFactor: Boolean(requireTwoFactor),
+    });
+    await recordAudit(req, { entityType: "role", entityId: role._id, action: "create", after: role });
+
+    res.status(201).json({ message: "Role created successfully", role });
+  } catch (error) {
+    console.error("Error creating role:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to create role" });
+  }
+});
+
+// PUT - Update role description, permissions and 2FA policy
+router.put("/:id", requirePermission("roles:write"), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    const { name, description, permissions, requireTwoFactor } = req.body;
+    const before = role.toObject();
+
+    if (name !== undefined && name !== role.name) {
+      if (role.isSystem) {
+        return res.status(400).json({ error: "Built-in roles cannot be renamed" });
+      }
+
+      const existing = await Role.findOne({ name: String(name).toLowerCase().trim(), _id: { $ne: role._id } });
+      if (existing) {
+        return res.status(400).json({ error: "A role with this name already exists" });
+      }
+      role.name = name;
+    }
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({ error: "Permissions must be an array" });
+      }
+
+      // Built-in permissions are fixed, so e.g. "admin" cannot lose "*" and lock everyone out
+      const unchanged = [...permissions].sort().join() === [...role.permissions].sort().join();
+      if (role.isSystem && !unchanged) {
+        return res.status(400).json({ error: "Permissions of built-in roles cannot be changed" });
+      }
+
+      const invalid = findInvalidPermissions(permissions);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: "Invalid permissions", details: invalid });
+      }
+
+      // Only added permissions count as a grant; the role already had the rest
+      const added = permissions.filter((permission) => !role.permissions.includes(permission));
+      const ungranted = findUngrantedPermissions(req, added);
+      if (ungranted.length > 0) {
+        return res.status(403).json({ error: "You cannot grant permissions you do not hold", details: ungranted });
+      }
+      role.permissions = permissions;
+    }
+
+    if (description !== undefined) role.description = description;
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = Boolean(requireTwoFactor);
+
+    await role.save();
+    await recordAudit(req, { entityType: "role", entityId: role._id, action: "update", before, after: role });
+
+    res.json({ message: "Role updated successfully", role });
+  } catch (error) {
+    console.error("Error updating role:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    // Unique index on name, for a rename racing another request
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "A role with this name already exists" });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid role ID" });
+    }
+
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
+
+// DELETE - Delete role that is not built-in and not assigned to anyone
+router.delete("/:id", requirePermission("roles:delete"), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ error: "Built-in roles cannot be deleted" });
+    }
+
+    const assignedUsers = await AdminUser.countDocuments({ role: role._id });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        error: `Role is assigned to ${assignedUsers} user(s) and cannot be deleted`,
+      });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    await recordAudit(req, { entityType: "role", entityId: role._id, action: "delete", before: role });
+
+    res.json({ message: "Role deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting role:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid role ID" });
+    }
+
+    res.status(500).json({ error: "Failed to delete role" });
+  }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+import express from "express";
+import SavedView from "../models/SavedView.js";
+import { requirePermission } from "../middleware/auth.js";
+import { hasPermission } from "../utils/permissions.js";
+import { sendQueryError } from "../utils/query.js";
+import {
+  normalizeViewQuery,
+  visibleViewsFilter,
+  findVisibleView,
+  countViewContacts,
+} from "../utils/savedViews.js";
+
+const router = express.Router();
+
+// Helper function to require a signed-in user (API keys have no personal views)
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ error: "Saved views require a user account" });
+  }
+  next();
+};
+
+// Helper function to check sharing: only users who can write contacts may share views with the team
+const canShare = (req) => hasPermission(req.permissions, "contacts:write");
+
+// GET - List own and shared views with a live contact count each (?counts=false skips counting)
+router.get("/", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const views = await SavedView.find(visibleViewsFilter(req))
+      .populate("owner", "name")
+      .sort({ isShared: 1, name: 1 })
+      .lean();
+
+    if (req.query.counts !== "false") {
+      await Promise.all(
+        views.map(async (view) => {
+          view.count = await countViewContacts(view);
+        })
+      );
+    }
+
+    res.json({ views });
+  } catch (error) {
+    console.error("Error fetching saved views:", error);
+    res.status(500).json({ error: "Failed to fetch saved views" });
+  }
+});
+
+// GET - Get a single view with its count
+router.get("/:id", requirePermission("contacts:read"), async (req, res) => {
+  try {
+    const view = await findVisibleView(req, req.params.id);
+    if (!view) {
+      return res.status(404).json({ error: "Saved view not found" });
+    }
+
+    res.json({ ...view.toJSON(), count: await countViewContacts(view) });
+  } catch (error) {
+    console.error("Error fetching saved view:", error);
+    res.status(500).json({ error: "Failed to fetch saved view" });
+  }
+});
+
+// POST - Create a view
+router.post("/", requirePermission("contacts:read"), requireUser, async (req, res) => {
+  try {
+    const { name, description, query, isShared = false } = req.body;
+
+    if (isShared && !canShare(req)) {
+      return res.status(403).json({ error: "Missing permission: contacts:write", permission: "contacts:write" });
+    }
+
+    const view = await SavedView.create({
+      name,
+      description,
+      query: normalizeViewQuery(query),
+      isShared: Boolean(isShared),
+      owner: req.user._id,
+    });
+
+    res.status(201).json({
+      message: "Saved view created successfully",
+      view: { ...view.toJSON(), count: await countViewContacts(view) },
+    });
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error creating saved view:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to create saved view" });
+  }
+});
+
+// PUT - Update a view (owner only)
+router.put("/:id", requirePermission("contacts:read"), requireUser, async (req, res) => {
+  try {
+    const view = await findVisibleView(req, req.params.id);
+    if (!view) {
+      return res.status(404).json({ error: "Saved view not found" });
+    }
+    if (!view.owner.equals(req.user._id)) {
+      return res.status(403).json({ error: "Only the owner can change this view" });
+    }
+
+    const { name, description, query, isShared } = req.body;
+    if (isShared && !canShare(req)) {
+      return res.status(403).json({ error: "Missing permission: contacts:write", permission: "contacts:write" });
+    }
+
+    if (name !== undefined) view.name = name;
+    if (description !== undefined) view.description = description;
+    if (query !== undefined) view.query = normalizeViewQuery(query);
+    if (isShared !== undefined) view.isShared = Boolean(isShared);
+
+    await view.save();
+
+    res.json({
+      message: "Saved view updated successfully",
+      view: { ...view.toJSON(), count: await countViewContacts(view) },
+    });
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error updating saved view:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to update saved view" });
+  }
+});
+
+// DELETE - Delete a view (owner only)
+router.delete("/:id", requirePermission("contacts:read"), requireUser, async (req, res) => {
+  try {
+    const view = await findVisibleView(req, req.params.id);
+    if (!view) {
+      return res.status(404).json({ error: "Saved view not found" });
+    }
+    if (!view.owner.equals(req.user._id)) {
+      return res.status(403).json({ error: "Only the owner can delete this view" });
+    }
+
+    await view.deleteOne();
+
+    res.json({ message: "Saved view deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting saved view:", error);
+    res.status(500).json({ error: "Failed to delete saved view" });
+  }
+});
+
+export default router;
@@ -1,50 +1,57 @@
 import express from "express";
 import Team from "../models/Team.js";
+import Contact from "../models/Contact.js";
+import AssignmentRule from "../models/AssignmentRule.js";
 import { v2 as cloudinary } from "cloudinary";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit, recordBulkAudit } from "../utils/audit.js";
+import { parseListQuery, parseBooleanFilter, buildSearchFilter, sendQueryError } from "../utils/query.js";
 
 const router = express.Router();
 
 // Get all team members
 router.get("/", async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, isActive } = req.query;
+    const { search, isActive } = req.query;
+    const { page, limit, skip } = parseListQuery(req.query, {
+      params: ["page", "limit", "search", "isActive"],
+      sortable: ["createdAt"],
+    });
     
     // Build query
     let query = {};
     
     if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { role: { $regex: search, $options: "i" } },
-        { expertise: { $in: [new RegExp(search, "i")] } }
-      ];
+      query.$or = buildSearchFilter(search, ["name", "role", "expertise"]);
     }
     
-    if (isActive !== undefined) {
-      query.isActive = isActive === 'true';
+    const active = parseBooleanFilter(isActive, "isActive");
+    if (active !== undefined) {
+      query.isActive = active;
     }
 
     // Execute query with pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     const teamMembers = await Team.find(query)
       .sort({ order: 1, createdAt: -1 })
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
 
     const total = await Team.countDocuments(query);
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const totalPages = Math.ceil(total / limit);
 
     res.json({
       teamMembers,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalItems: total,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
       },
     });
   } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
     console.error("Error fetching team members:", error);
     res.status(500).json({ error: "Failed to fetch team members" });
   }
@@ -65,7 +72,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create new team member
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("team:write"), async (req, res) => {
   try {
     const { name, role, experience, expertise, avatar, avatarPublicId, order, isActive } = req.body;
 
@@ -94,6 +101,7 @@ router.post("/", async (req, res) => {
     });
 
     await teamMember.save();
+    await recordAudit(req, { entityType: "team", entityId: teamMember._id, action: "create", after: teamMember });
     res.status(201).json(teamMember);
   } catch (error) {
     console.error("Error creating team member:", error);
@@ -102,7 +110,7 @@ router.post("/", async (req, res) => {
 });
 
 // Update team member
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("team:write"), async (req, res) => {
   try {
     const { name, role, experience, expertise, avatar, avatarPublicId, order, isActive } = req.body;
     
@@ -128,6 +136,7 @@ router.put("/:id", async (req, res) => {
     }
 
     // Update fields
+    const before = teamMember.toObject();
     if (name !== undefined) teamMember.name = name;
     if (role !== undefined) teamMember.role = role;
     if (experience !== undefined) teamMember.experience = experience;
@@ -138,6 +147,7 @@ router.put("/:id", async (req, res) => {
     if (isActive !== undefined) teamMember.isActive = isActive;
 
     await teamMember.save();
+    await recordAudit(req, { entityType: "team", entityId: teamMember._id, action: "update", before, after: teamMember });
     res.json(teamMember);
   } catch (error) {
     console.error("Error updating team member:", error);
@@ -146,7 +156,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete team member
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("team:delete"), async (req, res) => {
   try {
     const teamMember = await Team.findById(req.params.id);
     if (!teamMember) {
@@ -163,6 +173,12 @@ router.delete("/:id", async (req, res) => {
     }
 
     await Team.findByIdAndDelete(req.params.id);
+
+    // Hand the member's leads back to the unassigned pool and drop them from round-robin rules
+    await Contact.updateMany({ assignedTo: teamMember._id }, { assignedTo: null, assignedAt: null });
+    await AssignmentRule.updateMany({ members: teamMember._id }, { $pull: { members: teamMember._id } });
+
+    await recordAudit(req, { entityType: "team", entityId: teamMember._id, action: "delete", before: teamMember });
     res.json({ message: "Team member deleted successfully" });
   } catch (error) {
     console.error("Error deleting team member:", error);
@@ -209,7 +225,7 @@ router.get("/stats/overview", async (req, res) => {
 });
 
 // Bulk update order
-router.put("/bulk/reorder", async (req, res) => {
+router.put("/bulk/reorder", requirePermission("team:write"), async (req, res) => {
   try {
     const { updates } = req.body; // Array of { id, order }
     
@@ -224,7 +240,11 @@ router.put("/bulk/reorder", async (req, res) => {
       }
     }));
 
+    const ids = updates.map(({ id }) => id);
+    const before = await Team.find({ _id: { $in: ids } }).lean();
     await Team.bulkWrite(bulkOps);
+    const after = await Team.find({ _id: { $in: ids } }).lean();
+    await recordBulkAudit(req, { entityType: "team", action: "bulk-update", before, after });
     res.json({ message: "Team member order updated successfully" });
   } catch (error) {
     console.error("Error updating team member order:", error);
@@ -0,0 +1,361 @@
+import express from "express";
+import AdminUser from "../models/AdminUser.js";
+import Role from "../models/Role.js";
+import { requirePermission } from "../middleware/auth.js";
+import { generateToken, hashToken, ADMIN_APP_URL, INVITE_TTL_HOURS } from "../utils/auth.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { sendMail } from "../utils/mailer.js";
+import { recordAudit } from "../utils/audit.js";
+import { parseListQuery, parseEnumFilter, buildSearchFilter, sendQueryError } from "../utils/query.js";
+
+const router = express.Router();
+
+// Helper function to generate a fresh invite token and email it to the user.
+// Saved only once the email went out, so a mail failure leaves no pending user or dead token behind.
+const sendInvite = async (user, inviter) => {
+  const inviteToken = generateToken(32);
+  user.inviteToken = hashToken(inviteToken);
+  user.inviteExpires = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+  await user.validate();
+
+  const inviteUrl = `${ADMIN_APP_URL}/accept-invite?token=${inviteToken}`;
+  await sendMail({
+    to: user.email,
+    subject: "You're invited to the Kayease admin dashboard",
+    text:
+      `Hi ${user.name},\n\n` +
+      `${inviter.name} has invited you to the Kayease admin dashboard. ` +
+      `Use the link below to set your password. It expires in ${INVITE_TTL_HOURS} hours.\n\n` +
+      `${inviteUrl}`,
+  });
+  await user.save();
+};
+
+// Helper function to resolve a role by ID or name
+const findRole = (role) => {
+  return /^[0-9a-fA-F]{24}$/.test(String(role))
+    ? Role.findById(role)
+    : Role.findOne({ name: String(role).toLowerCase().trim() });
+};
+
+// GET - List admin users with filters and pagination
+router.get("/", requirePermission("users:read"), async (req, res) => {
+  try {
+    const { role, status, search } = req.query;
+    const { page, limit, skip } = parseListQuery(req.query, {
+      params: ["page", "limit", "role", "status", "search"],
+      sortable: ["createdAt"],
+      defaultLimit: 20,
+    });
+    parseEnumFilter(status, ["active", "invited", "deactivated"], "status");
+
+    const filter = {};
+
+    if (role) {
+      const roleDoc = await findRole(role);
+      if (!roleDoc) return res.status(400).json({ error: "Role not found" });
+      filter.role = roleDoc._id;
+    }
+
+    if (status === "active") Object.assign(filter, { isActive: true, invitePending: false });
+    if (status === "invited") Object.assign(filter, { isActive: true, invitePending: true });
+    if (status === "deactivated") filter.isActive = false;
+
+    if (search) {
+      filter.$or = buildSearchFilter(search, ["name", "email"]);
+    }
+
+    const [users, total] = await Promise.all([
+      AdminUser.find(filter)
+        .populate("role", "name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AdminUser.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    if (error.name === "QueryError") return sendQueryError(res, error);
+
+    console.error("Error fetching admin users:", error);
+    res.status(500).json({ error: "Failed to fetch admin users" });
+  }
+});
+
+// GET - Get admin user by ID
+router.get("/:id", requirePermission("users:read"), async (req, res) => {
+  try {
+    const user = await AdminUser.findById(req.params.id)
+      .populate("role")
+      .populate("invitedBy", "name email");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error("Error fetching admin user:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    res.status(500).json({ error: "Failed to fetch admin user" });
+  }
+});
+
+// POST - Invite a new admin user by email
+router.post("/invite", requirePermission("users:write"), async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+
+    if (!email || !name || !role) {
+      return res.status(400).json({ error: "Email, name and role are required" });
+    }
+
+    const roleDoc = await findRole(role);
+    if (!roleDoc) {
+      return res.status(400).json({ error: "Role not found" });
+    }
+
+    const existing = await AdminUser.findOne({ email: String(email).toLowerCase().trim() });
+    if (existing) {
+      return res.status(400).json({ error: "A user with this email already exists" });
+    }
+
+    const user = new AdminUser({
+      email,
+      name,
+      role: roleDoc._id,
+      invitePending: true,
+      invitedBy: req.user._id,
+    });
+    await sendInvite(user, req.user);
+    await recordAudit(req, { entityType: "user", entityId: user._id, action: "invite", after: user });
+
+    res.status(201).json({ message: "Invitation sent successfully", user });
+  } catch (error) {
+    console.error("Error inviting admin user:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    res.status(500).json({ error: "Failed to invite user" });
+  }
+});
+
+// POST - Resend an invitation with a new token
+router.post("/:id/resend-invite", requirePermission("users:write"), async (req, res) => {
+  try {
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.invitePending) {
+      return res.status(400).json({ error: "User has already accepted the invitation" });
+    }
+
+    await sendInvite(user, req.user);
+    await recordAudit(req, { entityType: "user", entityId: user._id, action: "resend-invite" });
+
+    res.json({ message: "Invitation resent successfully", user });
+  } catch (error) {
+    console.error("Error resending invitation:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    res.status(500).json({ error: "Failed to resend invitation" });
+  }
+});
+
+// PUT - Update admin user name and email
+router.put("/:id", requirePermission("users:write"), async (req, res) => {
+  try {
+    const { name, email } = req.body;
+
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const before = user.toObject();
+
+    if (email !== undefined && String(email).toLowerCase().trim() !== user.email) {
+      const existing = await AdminUser.findOne({ email: String(email).toLowerCase().trim() });
+      if (existing) {
+        return res.status(400).json({ error: "A user with this email already exists" });
+      }
+      user.email = email;
+    }
+    if (name !== undefined) user.name = name;
+
+    await user.save();
+    await recordAudit(req, { entityType: "user", entityId: user._id, action: "update", before, after: user });
+
+    res.json({ message: "User updated successfully", user });
+  } catch (error) {
+    console.error("Error updating admin user:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
+// PATCH - Change a user's role
+router.patch("/:id/role", requirePermission("users:write"), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({ error: "Role is required" });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    const roleDoc = await findRole(role);
+    if (!roleDoc) {
+      return res.status(400).json({ error: "Role not found" });
+    }
+
+    const before = await AdminUser.findByIdAndUpdate(req.params.id, { role: roleDoc._id }).lean();
+    if (!before) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const user = await AdminUser.findById(before._id).populate("role", "name");
+    await recordAudit(req, {
+      entityType: "user",
+      entityId: user._id,
+      action: "change-role",
+      before,
+      after: user,
+      metadata: { role: roleDoc.name },
+    });
+
+    res.json({ message: `User role changed to ${roleDoc.name}`, user });
+  } catch (error) {
+    console.error("Error changing user role:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    res.status(500).json({ error: "Failed to change user role" });
+  }
+});
+
+// PATCH - Deactivate a user and end all of their sessions
+router.patch("/:id/deactivate", requirePermission("users:write"), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: "You cannot deactivate your own account" });
+    }
+
+    const before = await AdminUser.findById(req.params.id).lean();
+    const user = await AdminUser.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await revokeAllSessions(user._id);
+    await recordAudit(req, { entityType: "user", entityId: user._id, action: "deactivate", before, after: user });
+
+    res.json({ message: "User deactivated successfully", user });
+  } catch (error) {
+    console.error("Error deactivating user:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    res.status(500).json({ error: "Failed to deactivate user" });
+  }
+});
+
+// PATCH - Reactivate a user
+router.patch("/:id/reactivate", requirePermission("users:write"), async (req, res) => {
+  try {
+    const before = await AdminUser.findById(req.params.id).lean();
+    const user = await AdminUser.findByIdAndUpdate(
+      req.params.id,
+      { isActive: true },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    await recordAudit(req, { entityType: "user", entityId: user._id, action: "reactivate", before, after: user });
+
+    res.json({ message: "User reactivated successfully", user });
+  } catch (error) {
+    console.error("Error reactivating user:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    res.status(500).json({ error: "Failed to reactivate user" });
+  }
+});
+
+// DELETE - Delete admin user
+router.delete("/:id", requirePermission("users:delete"), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: "You cannot delete your own account" });
+    }
+
+    const user = await AdminUser.findByIdAndDelete(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await revokeAllSessions(user._id);
+    await recordAudit(req, { entityType: "user", entityId: user._id, action: "delete", before: user });
+
+    res.json({ message: "User deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting admin user:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    res.status(500).json({ error: "Failed to delete user" });
+  }
+});
+
+export default router;
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import AdminUser from "../models/AdminUser.js";
+import Role from "../models/Role.js";
+import { ensureDefaultRoles } from "../utils/permissions.js";
+
+dotenv.config();
+
+// Usage: npm run create-admin -- <email> <password> [name] [role]
+const [email, password, name = "Admin", roleName = "admin"] = process.argv.slice(2);
+
+if (!email || !password) {
+  console.error("Usage: npm run create-admin -- <email> <password> [name] [role]");
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  await ensureDefaultRoles();
+
+  const existing = await AdminUser.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    console.error(`An admin user with email ${email} already exists.`);
+    process.exitCode = 1;
+  } else {
+    const role = await Role.findOne({ name: roleName.toLowerCase() });
+    if (!role) {
+      throw new Error(`Role "${roleName}" does not exist`);
+    }
+    const user = await AdminUser.create({ name, email, password, role: role._id });
+    console.log(`Admin user ${user.email} created with role ${role.name}✅`);
+  }
+} catch (err) {
+  console.error("Failed to create admin user❌:", err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,57 @@
+import ApiKey from '../models/ApiKey.js';
+import { generateToken, hashToken } from './auth.js';
+import { RESOURCES } from './permissions.js';
+
+// Resources machine clients may be granted; account administration stays human-only
+const API_KEY_RESOURCES = ['blogs', 'careers', 'clients', 'cloudinary', 'contacts', 'portfolio', 'team'];
+
+// Only update lastUsedAt once a minute to avoid a write on every request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+export const API_KEY_SCOPES = API_KEY_RESOURCES.flatMap(
+  (resource) => RESOURCES[resource].map((action) => `${action}:${resource}`)
+);
+
+export const isValidScope = (scope) => API_KEY_SCOPES.includes(scope);
+
+// "read:blogs" -> "blogs:read", so keys share the permission checks used for users
+export const scopeToPermission = (scope) => {
+  const [action, resource] = scope.split(':');
+  return `${resource}:${action}`;
+};
+
+// Returns the raw key (shown once) and the unsaved document holding its hash
+export const buildApiKey = ({ name, scopes, expiresAt, createdBy }) => {
+  const prefix = generateToken(4);
+  const key = `kay_${prefix}_${generateToken(32)}`;
+
+  const apiKey = new ApiKey({
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt,
+    createdBy,
+  });
+
+  return { key, apiKey };
+};
+
+// Resolve an X-API-Key header value. Returns { apiKey } or { error }.
+export const verifyApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || apiKey.revokedAt) return { error: 'Invalid API key' };
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return { error: 'API key expired' };
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = ip;
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: ip }
+    );
+  }
+
+  return { apiKey };
+};
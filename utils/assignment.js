@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import AssignmentRule from '../models/AssignmentRule.js';
+import Team from '../models/Team.js';
+
+export const DEFAULT_RULE = '*';
+
+// Statuses that still need someone working the lead
+export const OPEN_STATUSES = ['new', 'contacted', 'in-progress', 'quoted'];
+
+// Resolve an assignee for an update: null/"" unassigns, otherwise it must be an active team member
+export const resolveAssignee = async (assignedTo) => {
+  if (assignedTo === null || assignedTo === '') return null;
+
+  const member = mongoose.isValidObjectId(assignedTo)
+    ? await Team.findOne({ _id: assignedTo, isActive: true })
+    : null;
+  if (!member) {
+    const error = new Error('Assignee must be an active team member');
+    error.name = 'AssignmentError';
+    throw error;
+  }
+  return member._id;
+};
+
+// Pick the next active member from the rule for this projectType (or the fallback rule).
+// Returns a team member ID or null when no rule applies.
+export const pickAssignee = async (projectType) => {
+  const rule =
+    (await AssignmentRule.findOne({ projectType, isActive: true })) ||
+    (await AssignmentRule.findOne({ projectType: DEFAULT_RULE, isActive: true }));
+
+  if (!rule || rule.members.length === 0) return null;
+
+  const activeMembers = await Team.find({ _id: { $in: rule.members }, isActive: true }).select('_id');
+  const activeIds = new Set(activeMembers.map((member) => String(member._id)));
+  const candidates = rule.members.filter((id) => activeIds.has(String(id)));
+  if (candidates.length === 0) return null;
+
+  // Atomic increment so concurrent submissions do not land on the same person
+  const updated = await AssignmentRule.findOneAndUpdate(
+    { _id: rule._id, isActive: true },
+    { $inc: { nextIndex: 1 } },
+    { new: false }
+  );
+  // Rule deleted or deactivated since it was read: leave the contact unassigned
+  if (!updated) return null;
+
+  return candidates[updated.nextIndex % candidates.length];
+};
@@ -0,0 +1,124 @@
+import { QueryError } from './query.js';
+import { DEFAULT_CURRENCY } from './pipeline.js';
+import Contact from '../models/Contact.js';
+
+// Request body field -> Contact attribution field
+export const UTM_FIELDS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent',
+};
+
+// List query param -> attribution path, matched exactly (case-insensitive for source/medium)
+export const ATTRIBUTION_FILTERS = {
+  utmSource: 'attribution.utmSource',
+  utmMedium: 'attribution.utmMedium',
+  utmCampaign: 'attribution.utmCampaign',
+  referrerDomain: 'attribution.referrerDomain',
+};
+
+const LOWERCASE_FIELDS = ['utmSource', 'utmMedium', 'referrerDomain'];
+
+const clean = (value, maxLength) => {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim().slice(0, maxLength);
+  return trimmed || undefined;
+};
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+// Builds the attribution sub-document from the form body. UTM values missing from the
+// body are read from the landing page query string.
+export const parseAttribution = (body = {}) => {
+  const referrer = clean(body.referrer, 2000);
+  const landingPage = clean(body.landingPage, 2000);
+  const landingParams = parseUrl(landingPage)?.searchParams;
+
+  const attribution = {};
+  for (const [param, field] of Object.entries(UTM_FIELDS)) {
+    const value = clean(body[param], 200) || clean(landingParams?.get(param) ?? undefined, 200);
+    if (value) attribution[field] = LOWERCASE_FIELDS.includes(field) ? value.toLowerCase() : value;
+  }
+
+  if (referrer) {
+    attribution.referrer = referrer;
+    const host = parseUrl(referrer)?.hostname;
+    if (host) attribution.referrerDomain = host.toLowerCase().replace(/^www\./, '');
+  }
+  if (landingPage) attribution.landingPage = landingPage;
+
+  return attribution;
+};
+
+// Adds attribution filters from list query params to a contacts filter
+export const applyAttributionFilters = (filter, query) => {
+  for (const [param, path] of Object.entries(ATTRIBUTION_FILTERS)) {
+    const value = query[param];
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string') throw new QueryError(`${param} must be a single string`);
+
+    const field = path.split('.')[1];
+    filter[path] = LOWERCASE_FIELDS.includes(field) ? value.trim().toLowerCase() : value.trim();
+  }
+  return filter;
+};
+
+// Lead counts plus quoted and won value (per currency) grouped by an attribution field
+const breakdownBy = async (field, match) => {
+  const [counts, values] = await Promise.all([
+    Contact.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: `$attribution.${field}`,
+          leads: { $sum: 1 },
+          won: { $sum: { $cond: [{ $eq: ['$deal.outcome', 'won'] }, 1, 0] } },
+        },
+      },
+      { $sort: { leads: -1 } },
+    ]),
+    Contact.aggregate([
+      { $match: { ...match, 'deal.quotedAmount': { $ne: null } } },
+      {
+        $group: {
+          _id: {
+            key: `$attribution.${field}`,
+            currency: { $ifNull: ['$deal.currency', DEFAULT_CURRENCY] },
+          },
+          quoted: { $sum: '$deal.quotedAmount' },
+          won: { $sum: { $cond: [{ $eq: ['$deal.outcome', 'won'] }, '$deal.quotedAmount', 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  return counts.map((group) => {
+    const groupValues = values.filter((value) => (value._id.key ?? null) === (group._id ?? null));
+    const sumBy = (key) => groupValues.reduce((acc, value) => ({ ...acc, [value._id.currency]: value[key] }), {});
+
+    return {
+      [field === 'utmSource' ? 'source' : 'campaign']: group._id ?? null,
+      leads: group.leads,
+      won: group.won,
+      quotedValue: sumBy('quoted'),
+      wonValue: sumBy('won'),
+    };
+  });
+};
+
+// Leads without a UTM source/campaign are grouped under null ("direct / untagged")
+export const getAttributionBreakdown = async (match) => {
+  const [bySource, byCampaign] = await Promise.all([
+    breakdownBy('utmSource', match),
+    breakdownBy('utmCampaign', match),
+  ]);
+  return { bySource, byCampaign };
+};
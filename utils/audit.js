@@ -0,0 +1,86 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Bookkeeping fields that change on every save and would only add noise,
+// plus credential hashes that must never be copied into the audit log
+const IGNORED_FIELDS = ['updatedAt', '__v', 'id', 'password', 'keyHash', 'inviteToken', 'passwordResetToken'];
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+};
+
+// JSON round-trip so ObjectIds and Dates compare and store as strings
+const normalize = (value) => {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+// Shallow diff of two documents as { field: { from, to } }
+export const diffObjects = (before, after) => {
+  const from = normalize(toPlain(before)) || {};
+  const to = normalize(toPlain(after)) || {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  }
+
+  return changes;
+};
+
+export const getActor = (req) => {
+  if (req.user) {
+    return { type: 'user', id: req.user._id, label: req.user.email };
+  }
+  if (req.apiKey) {
+    return { type: 'apiKey', id: req.apiKey._id, label: req.apiKey.name };
+  }
+  return { type: 'public' };
+};
+
+const buildEntry = (req, { entityType, entityId, action, before, after, metadata }) => ({
+  actor: req ? getActor(req) : { type: 'system' },
+  entityType,
+  entityId: entityId ? String(entityId) : undefined,
+  action,
+  changes: diffObjects(before, after),
+  metadata,
+  ipAddress: req?.ip,
+  userAgent: req?.headers['user-agent'],
+});
+
+// Record one audit entry. Never throws: a failed audit write must not fail the request.
+export const recordAudit = async (req, entry) => {
+  try {
+    await AuditLog.create(buildEntry(req, entry));
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Record one entry per entity for bulk operations, matching before/after documents by _id
+export const recordBulkAudit = async (req, { entityType, action, before = [], after = [], metadata }) => {
+  try {
+    const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+    const entries = before.map((doc) =>
+      buildEntry(req, {
+        entityType,
+        entityId: doc._id,
+        action,
+        before: doc,
+        after: afterById.get(String(doc._id)),
+        metadata,
+      })
+    );
+
+    if (entries.length > 0) {
+      await AuditLog.insertMany(entries);
+    }
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
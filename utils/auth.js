@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+export const ADMIN_APP_URL = process.env.ADMIN_APP_URL || 'http://localhost:8001';
+export const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+export const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+export const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+if (!JWT_SECRET) {
+  console.error('Missing JWT_SECRET. Admin login will not work until it is set in your .env file.');
+}
+
+// Access tokens carry the user's token version so "logout everywhere" can invalidate them
+export const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, tv: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+export const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  // Purpose-bound tokens (e.g. 2FA challenges) are never valid as access tokens
+  if (payload.purpose) throw new jwt.JsonWebTokenError('Invalid token purpose');
+  return payload;
+};
+
+// Issued after a correct password when the account still needs its second factor
+export const signTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), purpose: '2fa' },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+};
+
+export const verifyTwoFactorChallenge = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.purpose !== '2fa') throw new jwt.JsonWebTokenError('Invalid token purpose');
+  return payload;
+};
+
+// Opaque random token for refresh, reset and similar flows
+export const generateToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Only hashes of opaque tokens are stored
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
@@ -0,0 +1,13 @@
+// Parse TRUST_PROXY into a value for Express's "trust proxy" setting:
+// "true"/"false", a hop count ("1") or a comma-separated list of proxy addresses/subnets
+export const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+};
+
+// req.ip only honours X-Forwarded-For entries added by trusted proxies, so clients cannot spoof it
+export const getClientIP = (req) => {
+  return req.ip || req.socket?.remoteAddress || null;
+};
@@ -34,4 +34,44 @@ export const deleteImage = async (publicId) => {
   }
 };
 
+// Upload a file buffer (e.g. from multer). Private files use the "authenticated" delivery type
+// and can only be fetched through signed URLs.
+export const uploadBuffer = (buffer, { folder, publicId, resourceType = 'auto', isPrivate = false } = {}) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        public_id: publicId,
+        resource_type: resourceType,
+        type: isPrivate ? 'authenticated' : 'upload',
+      },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+    stream.end(buffer);
+  });
+};
+
+export const deleteFile = async (publicId, { resourceType = 'image', isPrivate = false } = {}) => {
+  try {
+    return await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      type: isPrivate ? 'authenticated' : 'upload',
+      invalidate: true,
+    });
+  } catch (error) {
+    console.error('Cloudinary delete error:', error);
+    throw error;
+  }
+};
+
+// Time-limited download link for a private file
+export const getPrivateDownloadUrl = (publicId, format, { resourceType = 'image', expiresInSeconds = 3600 } = {}) => {
+  return cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: resourceType,
+    type: 'authenticated',
+    attachment: true,
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+};
+
 export default cloudinary; 
\ No newline at end of file
@@ -0,0 +1,59 @@
+import ContactActivity from '../models/ContactActivity.js';
+
+// Fields whose changes are recorded on the timeline automatically
+const TRACKED_FIELDS = {
+  status: 'status-change',
+  priority: 'priority-change',
+  assignedTo: 'assignment',
+};
+
+// ObjectIds and missing values compare and store as plain strings
+const toValue = (value) => (value === undefined || value === null ? undefined : String(value));
+
+export const getActivityAuthor = (req) => {
+  if (req?.user) return { type: 'user', id: req.user._id, name: req.user.name };
+  if (req?.apiKey) return { type: 'apiKey', id: req.apiKey._id, name: req.apiKey.name };
+  return { type: 'system', name: 'System' };
+};
+
+export const addContactActivity = (req, contactId, entry) => {
+  return ContactActivity.create({
+    ...entry,
+    contact: contactId,
+    author: getActivityAuthor(req),
+  });
+};
+
+// Add timeline entries for status/priority changes between before and after snapshots.
+// Accepts single documents or arrays (matched by _id). Never throws.
+export const recordContactChanges = async (req, before, after) => {
+  try {
+    const beforeList = [].concat(before || []);
+    const afterById = new Map([].concat(after || []).map((doc) => [String(doc._id), doc]));
+    const author = getActivityAuthor(req);
+    const entries = [];
+
+    for (const previous of beforeList) {
+      const current = afterById.get(String(previous._id));
+      if (!current) continue;
+
+      for (const [field, type] of Object.entries(TRACKED_FIELDS)) {
+        if (toValue(previous[field]) !== toValue(current[field])) {
+          entries.push({
+            contact: previous._id,
+            type,
+            from: toValue(previous[field]),
+            to: toValue(current[field]),
+            author,
+          });
+        }
+      }
+    }
+
+    if (entries.length > 0) {
+      await ContactActivity.insertMany(entries);
+    }
+  } catch (error) {
+    console.error('Contact activity error:', error);
+  }
+};
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import path from 'path';
+import { uploadBuffer, deleteFile, getPrivateDownloadUrl } from './cloudinary.js';
+
+const ATTACHMENT_FOLDER = 'contact-attachments';
+const DOWNLOAD_URL_TTL_SECONDS = (Number(process.env.ATTACHMENT_URL_TTL_MINUTES) || 60) * 60;
+
+// Images are stored as Cloudinary images, documents as raw files (which keep their extension in the public ID)
+const resourceTypeFor = (mimeType) => (mimeType.startsWith('image/') ? 'image' : 'raw');
+
+const safeBaseName = (name) =>
+  path
+    .basename(name, path.extname(name))
+    .replace(/[^a-zA-Z0-9_-]+/g, '-')
+    .slice(0, 60) || 'attachment';
+
+// Upload multer files for a contact. On failure, files uploaded so far are removed and the error rethrown.
+export const uploadContactAttachments = async (contactId, files = []) => {
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const resourceType = resourceTypeFor(file.mimetype);
+      const extension = path.extname(file.originalname).toLowerCase();
+      const baseId = `${safeBaseName(file.originalname)}-${crypto.randomBytes(4).toString('hex')}`;
+
+      const result = await uploadBuffer(file.buffer, {
+        folder: `${ATTACHMENT_FOLDER}/${contactId}`,
+        publicId: resourceType === 'raw' ? `${baseId}${extension}` : baseId,
+        resourceType,
+        isPrivate: true,
+      });
+
+      attachments.push({
+        publicId: result.public_id,
+        resourceType,
+        format: extension.slice(1),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedAt: new Date(),
+      });
+    }
+  } catch (error) {
+    await deleteContactAttachments([{ attachments }]);
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Remove the stored files of the given contacts. Never throws.
+export const deleteContactAttachments = async (contacts) => {
+  const attachments = [].concat(contacts || []).flatMap((contact) => contact?.attachments || []);
+
+  await Promise.all(
+    attachments.map((attachment) =>
+      deleteFile(attachment.publicId, { resourceType: attachment.resourceType, isPrivate: true }).catch(
+        (error) => console.error('Error deleting contact attachment:', attachment.publicId, error)
+      )
+    )
+  );
+};
+
+// Attachment metadata plus a short-lived signed download link
+export const withDownloadUrls = (attachments = []) =>
+  attachments.map((attachment) => {
+    const plain = typeof attachment.toObject === 'function' ? attachment.toObject() : attachment;
+    return {
+      ...plain,
+      downloadUrl: getPrivateDownloadUrl(plain.publicId, plain.resourceType === 'raw' ? '' : plain.format, {
+        resourceType: plain.resourceType,
+        expiresInSeconds: DOWNLOAD_URL_TTL_SECONDS,
+      }),
+    };
+  });
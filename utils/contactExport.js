@@ -0,0 +1,120 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { QueryError } from './query.js';
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Exportable columns: header plus how to read the value from a contact document (labels, not enum keys)
+export const EXPORT_COLUMNS = {
+  id: { header: 'ID', value: (contact) => String(contact._id) },
+  createdAt: { header: 'Received', value: (contact) => formatDate(contact.createdAt) },
+  name: { header: 'Name', value: (contact) => contact.name },
+  email: { header: 'Email', value: (contact) => contact.email },
+  phone: { header: 'Phone', value: (contact) => contact.phone },
+  company: { header: 'Company', value: (contact) => contact.company },
+  projectType: { header: 'Project type', value: (contact) => contact.projectTypeLabel },
+  budget: { header: 'Budget', value: (contact) => contact.budgetLabel },
+  timeline: { header: 'Timeline', value: (contact) => contact.timelineLabel },
+  status: { header: 'Status', value: (contact) => contact.status },
+  priority: { header: 'Priority', value: (contact) => contact.priority },
+  score: { header: 'Lead score', value: (contact) => contact.score },
+  assignedTo: { header: 'Assigned to', value: (contact) => contact.assignedTo?.name },
+  message: { header: 'Message', value: (contact) => contact.message },
+  utmSource: { header: 'UTM source', value: (contact) => contact.attribution?.utmSource },
+  utmMedium: { header: 'UTM medium', value: (contact) => contact.attribution?.utmMedium },
+  utmCampaign: { header: 'UTM campaign', value: (contact) => contact.attribution?.utmCampaign },
+  referrerDomain: { header: 'Referrer', value: (contact) => contact.attribution?.referrerDomain },
+  quotedAmount: { header: 'Quoted amount', value: (contact) => contact.deal?.quotedAmount },
+  currency: { header: 'Currency', value: (contact) => contact.deal?.currency },
+  dealOutcome: { header: 'Deal outcome', value: (contact) => contact.deal?.outcome },
+  firstResponseAt: { header: 'First response', value: (contact) => formatDate(contact.firstResponseAt) },
+  slaDueAt: { header: 'SLA due', value: (contact) => formatDate(contact.slaDueAt) },
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'createdAt', 'name', 'email', 'phone', 'company', 'projectType', 'budget', 'timeline', 'status', 'priority', 'assignedTo', 'message',
+];
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// "name,email,budget" -> validated column keys
+export const parseExportColumns = (value) => {
+  if (value === undefined || value === '') return DEFAULT_EXPORT_COLUMNS;
+  if (typeof value !== 'string') throw new QueryError('columns must be a comma-separated string');
+
+  const columns = [...new Set(value.split(',').map((column) => column.trim()).filter(Boolean))];
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+  if (unknown.length > 0 || columns.length === 0) {
+    throw new QueryError(`Unknown export column(s): ${unknown.join(', ')}`, { allowed: Object.keys(EXPORT_COLUMNS) });
+  }
+  return columns;
+};
+
+// Quote a CSV cell and neutralise spreadsheet formulas (=, +, -, @) in user-supplied text
+export const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (contact, columns) => columns.map((column) => EXPORT_COLUMNS[column].value(contact) ?? '');
+
+// Wait until the response can take more data. Resolves false if the client went away instead,
+// since 'drain' never fires on a closed connection.
+const waitForDrain = async (res) => {
+  if (res.destroyed) return false;
+  const controller = new AbortController();
+  try {
+    const event = await Promise.race([
+      once(res, 'drain', { signal: controller.signal }).then(() => 'drain'),
+      once(res, 'close', { signal: controller.signal }).then(() => 'close'),
+    ]);
+    return event === 'drain';
+  } finally {
+    controller.abort();
+  }
+};
+
+// Stream rows from a Mongoose cursor to the response, one document at a time.
+// A cancelled download stops the loop and closes the cursor.
+export const streamCsv = async (res, cursor, columns) => {
+  try {
+    // BOM so Excel opens the file as UTF-8
+    res.write('\uFEFF' + columns.map((column) => toCsvCell(EXPORT_COLUMNS[column].header)).join(',') + '\r\n');
+
+    for await (const contact of cursor) {
+      if (res.destroyed) return;
+      const line = toRow(contact, columns).map(toCsvCell).join(',') + '\r\n';
+      if (!res.write(line) && !(await waitForDrain(res))) return;
+    }
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+// The workbook writer zips into the response as rows are committed; pausing while the
+// response is backed up keeps the zip buffer from holding the whole export
+export const streamXlsx = async (res, cursor, columns) => {
+  try {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Contacts');
+    sheet.columns = columns.map((column) => ({ header: EXPORT_COLUMNS[column].header, key: column, width: 20 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const contact of cursor) {
+      if (res.destroyed) return;
+      sheet.addRow(toRow(contact, columns)).commit();
+      if (res.writableNeedDrain && !(await waitForDrain(res))) return;
+    }
+
+    if (res.destroyed) return;
+    sheet.commit();
+    // The zip only finishes once the response takes the rest, which a closed response never does
+    await Promise.race([workbook.commit(), once(res, 'close')]);
+  } finally {
+    await cursor.close();
+  }
+};
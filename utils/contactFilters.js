@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import { overdueFilter } from './sla.js';
+import { applyAttributionFilters } from './attribution.js';
+import { getOptionValues } from './formOptions.js';
+import {
+  parseEnumListFilter,
+  parseDateRange,
+  parseBooleanFilter,
+  buildSearchFilter,
+  QueryError,
+} from './query.js';
+
+// Whitelists for the contacts list endpoint (also used by exports and saved views)
+export const CONTACT_LIST_PARAMS = [
+  'page',
+  'limit',
+  'view',
+  'status',
+  'priority',
+  'projectType',
+  'budget',
+  'search',
+  'sortBy',
+  'sortOrder',
+  'dateFrom',
+  'dateTo',
+  'assignedTo',
+  'groupBy',
+  'overdue',
+  'utmSource',
+  'utmMedium',
+  'utmCampaign',
+  'referrerDomain',
+];
+export const CONTACT_SORT_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'name',
+  'email',
+  'company',
+  'status',
+  'priority',
+  'projectType',
+  'budget',
+  'score',
+];
+const CONTACT_SEARCH_FIELDS = ['name', 'email', 'company', 'message'];
+
+// Build the contacts filter from list query params. Enum filters accept one value or a comma-separated list.
+export const buildContactFilter = (query) => {
+  const filter = {};
+  // Form option filters also accept inactive options, which older contacts still use
+  const enumValues = (path) =>
+    ['projectType', 'budget'].includes(path) ? getOptionValues(path) : Contact.schema.path(path).enumValues;
+
+  // Spam is only listed when asked for explicitly
+  filter.status = parseEnumListFilter(query.status, enumValues('status'), 'status') || { $ne: 'spam' };
+
+  for (const field of ['priority', 'projectType', 'budget']) {
+    const value = parseEnumListFilter(query[field], enumValues(field), field);
+    if (value) filter[field] = value;
+  }
+
+  // Assignee filter: a team member ID or "unassigned"
+  if (query.assignedTo === 'unassigned') {
+    filter.assignedTo = null;
+  } else if (query.assignedTo) {
+    if (!mongoose.isValidObjectId(query.assignedTo)) {
+      throw new QueryError(`Invalid assignedTo "${query.assignedTo}"`);
+    }
+    // Cast here so the filter also works in aggregation pipelines
+    filter.assignedTo = new mongoose.Types.ObjectId(query.assignedTo);
+  }
+
+  // Merged duplicates live on through their canonical contact
+  filter.mergedInto = null;
+
+  // Overdue: no first response yet and past the SLA due date
+  const overdue = parseBooleanFilter(query.overdue, 'overdue');
+  if (overdue === true) Object.assign(filter, overdueFilter());
+  if (overdue === false) filter.$nor = [overdueFilter()];
+
+  // Attribution filters (utmSource, utmMedium, utmCampaign, referrerDomain)
+  applyAttributionFilters(filter, query);
+
+  // Date range filter (absolute dates or relative expressions like "today-7d")
+  const createdAt = parseDateRange(query.dateFrom, query.dateTo);
+  if (createdAt) filter.createdAt = createdAt;
+
+  // Search filter
+  if (query.search) {
+    filter.$or = buildSearchFilter(query.search, CONTACT_SEARCH_FIELDS);
+  }
+
+  return filter;
+};
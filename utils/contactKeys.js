@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+// Normalized keys used to spot the same person across several contact submissions
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+const COMPANY_SUFFIXES = /\b(inc|llc|llp|ltd|limited|pvt|private|corp|corporation|co|company|gmbh|plc)\b/g;
+
+// Lowercase, drop "+tag" and, for Gmail, the dots Gmail ignores
+export const normalizeEmail = (email) => {
+  const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return '';
+
+  let name = local.split('+')[0];
+  let host = domain;
+  if (GMAIL_DOMAINS.includes(domain)) {
+    name = name.replace(/\./g, '');
+    host = 'gmail.com';
+  }
+  return `${name}@${host}`;
+};
+
+// Digits only, compared on the last 10 so "+91 98765 43210" matches "9876543210"
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+};
+
+// "Acme, Inc." and "ACME inc" both become "acme"
+export const normalizeCompany = (company) =>
+  String(company || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const getDedupeKeys = ({ email, phone, company }) => ({
+  email: normalizeEmail(email),
+  phone: normalizePhone(phone),
+  company: normalizeCompany(company),
+});
+
+// Hash of the trimmed message, indexed so repeated-message spam checks avoid scanning messages
+export const hashMessage = (message) =>
+  crypto.createHash('sha256').update(String(message || '').trim()).digest('hex');
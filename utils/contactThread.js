@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import ContactMessage from '../models/ContactMessage.js';
+import { sendMail } from './mailer.js';
+import { getActivityAuthor } from './contactActivity.js';
+
+// Load environment variables
+dotenv.config();
+
+// Plus-addressed reply tokens are opt-in: set REPLY_TO_ADDRESS (e.g. replies@kayease.com)
+// and INBOUND_MAIL_SECRET, which signs the tokens and authenticates POST /api/contacts/inbound
+const REPLY_TO_ADDRESS = process.env.REPLY_TO_ADDRESS;
+export const INBOUND_MAIL_SECRET = process.env.INBOUND_MAIL_SECRET;
+
+export const replyTokensEnabled = () => Boolean(REPLY_TO_ADDRESS && INBOUND_MAIL_SECRET);
+
+const signContactId = (contactId) =>
+  crypto.createHmac('sha256', INBOUND_MAIL_SECRET).update(String(contactId)).digest('hex').slice(0, 16);
+
+// "replies@kayease.com" -> "replies+<contactId>.<signature>@kayease.com"
+export const buildReplyToAddress = (contactId) => {
+  if (!replyTokensEnabled()) return null;
+  const [local, domain] = REPLY_TO_ADDRESS.split('@');
+  return `${local}+${contactId}.${signContactId(contactId)}@${domain}`;
+};
+
+// Returns the contact ID from the first correctly signed plus-address, or null
+export const parseReplyToken = (addresses) => {
+  if (!replyTokensEnabled()) return null;
+
+  for (const address of [].concat(addresses || []).flatMap((value) => String(value).split(','))) {
+    const match = address.match(/\+([0-9a-f]{24})\.([0-9a-f]{16})@/i);
+    if (!match) continue;
+
+    const [, contactId, signature] = match;
+    const expected = signContactId(contactId.toLowerCase());
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature.toLowerCase()))) {
+      return contactId.toLowerCase();
+    }
+  }
+  return null;
+};
+
+// Constant-time check of the shared secret sent by the inbound mail stand-in
+export const isValidInboundSecret = (secret) => {
+  if (!INBOUND_MAIL_SECRET || !secret) return false;
+  const expected = crypto.createHash('sha256').update(INBOUND_MAIL_SECRET).digest();
+  const actual = crypto.createHash('sha256').update(String(secret)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Sends an email to the inquirer and stores it on the thread, whether or not sending succeeded.
+// The message is validated first (throws ValidationError) so nothing is sent that cannot be stored.
+export const sendContactReply = async (req, contact, { subject, text, html }) => {
+  const replyTo = buildReplyToAddress(contact._id) || req.user?.email;
+  const lastMessage = await ContactMessage.findOne({ contact: contact._id, messageId: { $exists: true } })
+    .sort({ createdAt: -1 });
+  const message = new ContactMessage({
+    contact: contact._id,
+    direction: 'outbound',
+    status: 'sent',
+    from: replyTo,
+    to: contact.email,
+    subject: subject || `Re: Your ${contact.projectTypeLabel} inquiry`,
+    text,
+    html,
+    inReplyTo: lastMessage?.messageId,
+    author: getActivityAuthor(req),
+  });
+  await message.validate();
+
+  try {
+    const { messageId } = await sendMail({
+      to: contact.email,
+      replyTo,
+      subject: message.subject,
+      text,
+      html,
+      headers: lastMessage?.messageId
+        ? { 'In-Reply-To': lastMessage.messageId, References: lastMessage.messageId }
+        : undefined,
+    });
+    message.messageId = messageId;
+  } catch (error) {
+    console.error('Error sending contact reply:', error);
+    Object.assign(message, { status: 'failed', from: undefined, error: error.message });
+  }
+  return message.save();
+};
+
+// Finds the contact an inbound email belongs to: a signed plus-address first, then In-Reply-To
+export const findInboundContactId = async ({ to, inReplyTo }) => {
+  const contactId = parseReplyToken(to);
+  if (contactId) return contactId;
+
+  if (inReplyTo) {
+    const original = await ContactMessage.findOne({ messageId: String(inReplyTo) });
+    if (original) return original.contact;
+  }
+  return null;
+};
+
+export const recordInboundMessage = (contact, { from, to, subject, text, html, messageId, inReplyTo }) => {
+  return ContactMessage.create({
+    contact: contact._id,
+    direction: 'inbound',
+    status: 'received',
+    from,
+    to: [].concat(to || []).join(', '),
+    subject,
+    text,
+    html,
+    messageId,
+    inReplyTo,
+    author: { type: 'contact', name: contact.name },
+  });
+};
@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import ContactActivity from '../models/ContactActivity.js';
+import ContactMessage from '../models/ContactMessage.js';
+import { getDedupeKeys } from './contactKeys.js';
+import { recordAudit, recordBulkAudit } from './audit.js';
+import { addContactActivity, recordContactChanges } from './contactActivity.js';
+import { deleteContactAttachments } from './contactAttachments.js';
+
+// Keys checked for duplicates, strongest signal first
+export const DEDUPE_FIELDS = ['email', 'phone', 'company'];
+
+// Keys that link contacts on their own. A shared company ("Freelance", a large employer) is only
+// reported alongside an email or phone match, never used to join contacts by itself.
+const LINKING_FIELDS = ['email', 'phone'];
+
+// Contacts that can take part in duplicate detection and merging
+const MERGEABLE = { mergedInto: null, status: { $ne: 'spam' } };
+
+const mergeError = (message, status = 400) => {
+  const error = new Error(message);
+  error.name = 'MergeError';
+  error.status = status;
+  return error;
+};
+
+// Contacts saved before duplicate detection existed have no keys yet (run once on startup)
+export const backfillDedupeKeys = async () => {
+  const missing = await Contact.find({ dedupeKeys: { $exists: false } })
+    .select('email phone company')
+    .lean();
+  if (missing.length === 0) return 0;
+
+  await Contact.bulkWrite(
+    missing.map((contact) => ({
+      updateOne: { filter: { _id: contact._id }, update: { dedupeKeys: getDedupeKeys(contact) } },
+    })),
+    { timestamps: false }
+  );
+  return missing.length;
+};
+
+// One page of clusters of likely duplicates, largest first. Contacts sharing an email or phone
+// end up in the same cluster. Only IDs and dates are loaded for ordering; full records just for the page.
+export const findDuplicateGroups = async ({ fields = DEDUPE_FIELDS, skip = 0, limit = 20 } = {}) => {
+  const matches = await Promise.all(
+    fields.map((field) =>
+      Contact.aggregate([
+        { $match: { ...MERGEABLE, [`dedupeKeys.${field}`]: { $nin: [null, ''] } } },
+        { $group: { _id: `$dedupeKeys.${field}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+      ]).then((groups) => groups.map((group) => ({ field, value: group._id, ids: group.ids.map(String) })))
+    )
+  );
+
+  // Union-find over contact IDs
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const flatMatches = matches.flat();
+  const linking = flatMatches.filter((match) => LINKING_FIELDS.includes(match.field));
+  for (const match of linking) {
+    match.ids.slice(1).forEach((id) => union(match.ids[0], id));
+  }
+
+  const clusters = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!clusters.has(root)) clusters.set(root, { ids: [], matchedOn: [] });
+    clusters.get(root).ids.push(id);
+  }
+  for (const match of linking) {
+    clusters.get(find(match.ids[0])).matchedOn.push({ field: match.field, value: match.value });
+  }
+
+  // Weak matches are noted on clusters where at least two of their contacts were already linked
+  for (const match of flatMatches.filter((item) => !LINKING_FIELDS.includes(item.field))) {
+    const perRoot = new Map();
+    for (const id of match.ids.filter((item) => parent.has(item))) {
+      const root = find(id);
+      perRoot.set(root, (perRoot.get(root) || 0) + 1);
+    }
+    for (const [root, count] of perRoot) {
+      if (count > 1) clusters.get(root).matchedOn.push({ field: match.field, value: match.value });
+    }
+  }
+
+  const dates = await Contact.find({ _id: { $in: [...parent.keys()] } }).select('createdAt').lean();
+  const createdAt = new Map(dates.map((contact) => [String(contact._id), contact.createdAt]));
+  const newest = (cluster) => Math.max(...cluster.ids.map((id) => createdAt.get(id) || 0));
+
+  const ordered = [...clusters.values()].sort(
+    (a, b) => b.ids.length - a.ids.length || newest(b) - newest(a)
+  );
+  const page = ordered.slice(skip, skip + limit);
+
+  const contacts = await Contact.find({ _id: { $in: page.flatMap((cluster) => cluster.ids) } })
+    .select('name email phone company projectType status priority createdAt updatedAt')
+    .lean();
+  const byId = new Map(contacts.map((contact) => [String(contact._id), contact]));
+
+  return {
+    total: ordered.length,
+    groups: page.map((cluster) => ({
+      matchedOn: cluster.matchedOn,
+      contacts: cluster.ids.map((id) => byId.get(id)).filter(Boolean)
+        .sort((a, b) => b.createdAt - a.createdAt),
+    })),
+  };
+};
+
+// Merged duplicates of the given contacts, following primaries that were themselves merged later
+export const findMergedDescendants = async (ids) => {
+  const found = [];
+  let parents = ids;
+  while (parents.length > 0) {
+    const children = await Contact.find({ mergedInto: { $in: parents } }).lean();
+    found.push(...children);
+    parents = children.map((contact) => contact._id);
+  }
+  return found;
+};
+
+// Delete the merged duplicates of contacts that are being deleted, so they are not left
+// pointing at a missing primary (hidden from every list but still holding personal data)
+export const deleteMergedDuplicates = async (req, ids) => {
+  const duplicates = await findMergedDescendants(ids);
+  if (duplicates.length === 0) return 0;
+
+  const duplicateIds = duplicates.map((contact) => contact._id);
+  await Contact.deleteMany({ _id: { $in: duplicateIds } });
+  await recordBulkAudit(req, { entityType: 'contact', action: 'delete-merged', before: duplicates });
+  await ContactActivity.deleteMany({ contact: { $in: duplicateIds } });
+  await ContactMessage.deleteMany({ contact: { $in: duplicateIds } });
+  await deleteContactAttachments(duplicates);
+  return duplicates.length;
+};
+
+// Merge duplicates into the primary contact: move the timeline and email thread, keep each
+// duplicate's inquiry as a merge entry, take the most recently updated status, and leave a
+// mergedInto pointer on every duplicate. Throws MergeError for invalid input.
+export const mergeContacts = async (req, primaryId, duplicateIds) => {
+  if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+    throw mergeError('duplicateIds must be a non-empty array');
+  }
+
+  const ids = [...new Set(duplicateIds.map(String))];
+  if (![primaryId, ...ids].every((id) => mongoose.isValidObjectId(id))) {
+    throw mergeError('Invalid contact ID');
+  }
+  if (ids.includes(String(primaryId))) {
+    throw mergeError('A contact cannot be merged into itself');
+  }
+
+  const [primary, duplicates] = await Promise.all([
+    Contact.findById(primaryId),
+    Contact.find({ _id: { $in: ids } }),
+  ]);
+  if (!primary || duplicates.length !== ids.length) {
+    throw mergeError('Contact not found', 404);
+  }
+
+  const all = [primary, ...duplicates];
+  if (all.some((contact) => contact.mergedInto)) {
+    throw mergeError('Contacts that were already merged cannot be merged again');
+  }
+  if (all.some((contact) => contact.status === 'spam')) {
+    throw mergeError('Spam contacts cannot be merged');
+  }
+
+  const before = primary.toObject();
+  const duplicatesBefore = duplicates.map((contact) => contact.toObject());
+  const latest = [...all].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+
+  primary.status = latest.status;
+  if (!primary.assignedTo) {
+    const assigned = duplicates.find((contact) => contact.assignedTo);
+    if (assigned) {
+      primary.assignedTo = assigned.assignedTo;
+      primary.assignedAt = assigned.assignedAt;
+    }
+  }
+  if (duplicates.some((contact) => !contact.isRead)) primary.isRead = false;
+  primary.attachments.push(...duplicates.flatMap((contact) => contact.attachments.map((file) => file.toObject())));
+  await primary.save();
+
+  const mergedAt = new Date();
+  await Promise.all([
+    ContactActivity.updateMany({ contact: { $in: ids } }, { contact: primary._id }),
+    ContactMessage.updateMany({ contact: { $in: ids } }, { contact: primary._id }),
+    // Attachments now belong to the primary, so deleting a duplicate later keeps the files
+    Contact.updateMany({ _id: { $in: ids } }, { mergedInto: primary._id, mergedAt, attachments: [] }),
+  ]);
+
+  for (const duplicate of duplicates) {
+    await addContactActivity(req, primary._id, {
+      type: 'merge',
+      from: String(duplicate._id),
+      to: String(primary._id),
+      body: `Merged inquiry from ${duplicate.createdAt.toISOString()} (${duplicate.projectTypeLabel}, ${duplicate.budgetLabel}):\n${duplicate.message}`,
+      occurredAt: duplicate.createdAt,
+    });
+  }
+
+  const duplicatesAfter = await Contact.find({ _id: { $in: ids } }).lean();
+  await recordAudit(req, {
+    entityType: 'contact',
+    entityId: primary._id,
+    action: 'merge',
+    before,
+    after: primary,
+    metadata: { merged: ids },
+  });
+  await recordBulkAudit(req, {
+    entityType: 'contact',
+    action: 'merge',
+    before: duplicatesBefore,
+    after: duplicatesAfter,
+    metadata: { mergedInto: String(primary._id) },
+  });
+  await recordContactChanges(req, before, primary);
+
+  return { contact: primary, merged: ids };
+};
@@ -0,0 +1,124 @@
+import EmailTemplate from '../models/EmailTemplate.js';
+import Contact from '../models/Contact.js';
+import { sendMail } from './mailer.js';
+
+// Built-in templates. Admins can override subject/bodies; deleting the override restores these.
+export const DEFAULT_TEMPLATES = {
+  'contact-auto-reply': {
+    description: 'Acknowledgement sent to the inquirer when the contact form is submitted',
+    variables: ['name', 'company', 'projectTypeLabel', 'budgetLabel', 'timeline', 'timelineLabel'],
+    subject: 'Thanks for contacting Kayease, {{name}}',
+    text:
+      'Hi {{name}},\n\n' +
+      'Thanks for reaching out about {{projectTypeLabel}}. We have received your inquiry ' +
+      '(budget: {{budgetLabel}}, timeline: {{timelineLabel}}) and will get back to you within 24 hours.\n\n' +
+      'Best regards,\nThe Kayease Team',
+    html:
+      '<p>Hi {{name}},</p>' +
+      '<p>Thanks for reaching out about <strong>{{projectTypeLabel}}</strong>. We have received your inquiry ' +
+      '(budget: {{budgetLabel}}, timeline: {{timelineLabel}}) and will get back to you within 24 hours.</p>' +
+      '<p>Best regards,<br>The Kayease Team</p>',
+  },
+};
+
+// Example values used by the preview endpoint when none are supplied
+export const SAMPLE_VARIABLES = {
+  name: 'Jane Doe',
+  company: 'Acme Inc.',
+  projectTypeLabel: 'Web Development',
+  budgetLabel: '$15,000 - $30,000',
+  timeline: '1-3-months',
+  timelineLabel: '1-3 Months',
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Replaces {{variable}} placeholders; unknown variables render as an empty string
+export const renderString = (template, variables = {}, { escape = false } = {}) =>
+  String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name] ?? '';
+    return escape ? escapeHtml(value) : String(value);
+  });
+
+// Placeholders used in a template that the template does not declare
+export const findUnknownVariables = (key, { subject, text, html }) => {
+  const allowed = DEFAULT_TEMPLATES[key]?.variables || [];
+  const used = [subject, text, html]
+    .filter(Boolean)
+    .flatMap((part) => [...part.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1]));
+  return [...new Set(used)].filter((name) => !allowed.includes(name));
+};
+
+// Returns the stored override merged over the built-in template, or null for an unknown key
+export const getTemplate = async (key) => {
+  const defaults = DEFAULT_TEMPLATES[key];
+  if (!defaults) return null;
+
+  const override = await EmailTemplate.findOne({ key });
+  return {
+    key,
+    description: defaults.description,
+    variables: defaults.variables,
+    subject: override?.subject ?? defaults.subject,
+    text: override?.text ?? defaults.text,
+    html: override ? override.html || '' : defaults.html,
+    isActive: override?.isActive ?? true,
+    isCustomized: Boolean(override),
+    updatedAt: override?.updatedAt,
+    updatedBy: override?.updatedBy,
+  };
+};
+
+export const renderTemplate = (template, variables) => ({
+  subject: renderString(template.subject, variables),
+  text: renderString(template.text, variables),
+  html: template.html ? renderString(template.html, variables, { escape: true }) : undefined,
+});
+
+export const getContactVariables = (contact) => ({
+  name: contact.name,
+  company: contact.company || '',
+  projectTypeLabel: contact.projectTypeLabel,
+  budgetLabel: contact.budgetLabel,
+  timeline: contact.timeline || '',
+  timelineLabel: contact.timelineLabel || '',
+});
+
+// Sends the acknowledgement and records the outcome on contact.autoReply.
+// Never throws: a mail failure must not fail the submission.
+export const sendContactAutoReply = async (contact) => {
+  const key = 'contact-auto-reply';
+  let autoReply;
+
+  try {
+    const template = await getTemplate(key);
+
+    if (contact.status === 'spam' || !template.isActive) {
+      autoReply = { status: 'skipped', template: key };
+    } else {
+      const { messageId } = await sendMail({
+        to: contact.email,
+        ...renderTemplate(template, getContactVariables(contact)),
+      });
+      autoReply = { status: 'sent', template: key, sentAt: new Date(), messageId };
+    }
+  } catch (error) {
+    console.error('Auto-reply error:', error);
+    autoReply = { status: 'failed', template: key, error: error.message };
+  }
+
+  try {
+    contact.autoReply = autoReply;
+    await Contact.updateOne({ _id: contact._id }, { autoReply });
+  } catch (error) {
+    console.error('Error logging auto-reply:', error);
+  }
+
+  return autoReply;
+};
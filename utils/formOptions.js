@@ -0,0 +1,157 @@
+import FormOption from '../models/FormOption.js';
+
+// Contact form fields backed by managed options
+export const FORM_FIELDS = {
+  projectType: { required: true },
+  budget: { required: true },
+  timeline: { required: false },
+};
+
+// Seeded into an empty collection on startup; also label old contacts if an option is ever removed
+export const DEFAULT_FORM_OPTIONS = {
+  projectType: [
+    { value: 'web-development', label: 'Web Development' },
+    { value: 'mobile-app', label: 'Mobile App Development' },
+    { value: 'ecommerce', label: 'E-commerce Solution' },
+    { value: 'digital-marketing', label: 'Digital Marketing' },
+    { value: 'branding', label: 'Branding & Design' },
+    { value: 'consulting', label: 'Digital Consulting' },
+    { value: 'other', label: 'Other' },
+  ],
+  budget: [
+    { value: '5k-15k', label: '$5,000 - $15,000', ranges: [{ currency: 'USD', min: 5000, max: 15000 }] },
+    { value: '15k-30k', label: '$15,000 - $30,000', ranges: [{ currency: 'USD', min: 15000, max: 30000 }] },
+    { value: '30k-50k', label: '$30,000 - $50,000', ranges: [{ currency: 'USD', min: 30000, max: 50000 }] },
+    { value: '50k-100k', label: '$50,000 - $100,000', ranges: [{ currency: 'USD', min: 50000, max: 100000 }] },
+    { value: '100k+', label: '$100,000+', ranges: [{ currency: 'USD', min: 100000 }] },
+    { value: 'discuss', label: 'Let\'s Discuss' },
+  ],
+  timeline: [
+    { value: 'asap', label: 'ASAP' },
+    { value: '1-3-months', label: '1-3 Months' },
+    { value: '3-6-months', label: '3-6 Months' },
+    { value: '6-12-months', label: '6-12 Months' },
+    { value: 'flexible', label: 'Flexible' },
+  ],
+};
+
+// Options are read on every contact (label virtuals), so they are cached in memory
+// and reloaded after admin changes or once the cache is older than this
+const CACHE_TTL_MS = 60 * 1000;
+
+const defaultOptions = () =>
+  Object.entries(DEFAULT_FORM_OPTIONS).flatMap(([field, options]) =>
+    options.map((option, index) => ({ field, order: index, isActive: true, ranges: [], ...option }))
+  );
+
+let cachedOptions = defaultOptions();
+let cachedAt = 0;
+
+const byOrder = (a, b) => a.order - b.order || a.label.localeCompare(b.label);
+
+export const refreshFormOptions = async () => {
+  const options = await FormOption.find().lean();
+  if (options.length > 0) cachedOptions = options;
+  cachedAt = Date.now();
+  return cachedOptions;
+};
+
+// All options (active and inactive), reloaded when the cache is stale
+export const getFormOptions = async () => {
+  if (Date.now() - cachedAt > CACHE_TTL_MS) await refreshFormOptions();
+  return cachedOptions;
+};
+
+// Synchronous reads from the cache, for virtuals and filter whitelists
+export const listOptions = (field, { activeOnly = false } = {}) =>
+  cachedOptions.filter((option) => option.field === field && (!activeOnly || option.isActive)).sort(byOrder);
+
+export const getOptionValues = (field, options) => listOptions(field, options).map((option) => option.value);
+
+// Current label for a stored value, falling back to the built-in labels
+export const getOptionLabel = (field, value) => {
+  if (!value) return undefined;
+  const option =
+    cachedOptions.find((item) => item.field === field && item.value === value) ||
+    DEFAULT_FORM_OPTIONS[field]?.find((item) => item.value === value);
+  return option?.label;
+};
+
+// Active options grouped by field for the public form. With a currency, budget bands
+// priced in other currencies are left out and each band carries its range in that currency.
+export const getPublicFormOptions = async (currency) => {
+  await getFormOptions();
+  const wanted = currency ? String(currency).toUpperCase() : null;
+  const result = {};
+
+  for (const field of Object.keys(FORM_FIELDS)) {
+    let options = listOptions(field, { activeOnly: true });
+    if (field === 'budget' && wanted) {
+      options = options.filter(
+        (option) => !option.ranges?.length || option.ranges.some((range) => range.currency === wanted)
+      );
+    }
+
+    result[field] = options.map((option) => {
+      const item = { value: option.value, label: option.label };
+      if (field === 'budget') {
+        item.ranges = wanted
+          ? (option.ranges || []).filter((range) => range.currency === wanted)
+          : option.ranges || [];
+      }
+      return item;
+    });
+  }
+
+  return result;
+};
+
+// Returns a list of problems with the submitted form choices. Missing required
+// fields are checked by the route; this only rejects unknown or inactive values.
+export const validateFormSelections = async (body) => {
+  await getFormOptions();
+  const errors = [];
+
+  for (const field of Object.keys(FORM_FIELDS)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    const allowed = getOptionValues(field, { activeOnly: true });
+    if (typeof value !== 'string' || !allowed.includes(value)) {
+      errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  return errors;
+};
+
+// Returns a list of problems with an option create/update beyond the schema validators
+export const validateFormOption = ({ field, ranges }) => {
+  const errors = [];
+
+  if (ranges !== undefined) {
+    if (field !== 'budget' && Array.isArray(ranges) && ranges.length > 0) {
+      errors.push('ranges are only supported for budget options');
+    } else if (!Array.isArray(ranges)) {
+      errors.push('ranges must be an array of { currency, min, max }');
+    } else {
+      const currencies = ranges.map((range) => String(range?.currency || '').toUpperCase());
+      if (new Set(currencies).size !== currencies.length) errors.push('ranges: one range per currency');
+      for (const range of ranges) {
+        if (range?.min != null && range?.max != null && range.min > range.max) {
+          errors.push(`ranges: ${range.currency} min must not exceed max`);
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Seed the built-in options into an empty collection, then load the cache
+export const ensureDefaultFormOptions = async () => {
+  if ((await FormOption.estimatedDocumentCount()) === 0) {
+    await FormOption.insertMany(defaultOptions());
+  }
+  await refreshFormOptions();
+};
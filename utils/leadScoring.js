@@ -0,0 +1,214 @@
+import Contact from '../models/Contact.js';
+import LeadScoringConfig from '../models/LeadScoringConfig.js';
+import { normalizeEmail } from './contactKeys.js';
+import { getSlaDueAt, getSlaStart } from './sla.js';
+import { getOptionValues } from './formOptions.js';
+import { recordBulkAudit } from './audit.js';
+import { recordContactChanges } from './contactActivity.js';
+
+export const DEFAULT_SCORING = {
+  budgetWeights: {
+    '5k-15k': 5,
+    '15k-30k': 10,
+    '30k-50k': 20,
+    '50k-100k': 30,
+    '100k+': 40,
+    'discuss': 10,
+  },
+  timelineWeights: {
+    'asap': 25,
+    '1-3-months': 20,
+    '3-6-months': 10,
+    '6-12-months': 5,
+    'flexible': 5,
+  },
+  companyPoints: 10,
+  messageLengthTiers: [
+    { minLength: 100, points: 5 },
+    { minLength: 300, points: 10 },
+  ],
+  repeatSubmissionPoints: 5,
+  repeatSubmissionMax: 15,
+  autoPriority: {
+    enabled: false,
+    thresholds: { urgent: 75, high: 50, medium: 25 },
+  },
+};
+
+const SCORING_FIELDS = Object.keys(DEFAULT_SCORING);
+const PRIORITY_LEVELS = ['urgent', 'high', 'medium'];
+const RESCORE_BATCH_SIZE = 500;
+
+const toPlain = (value) => (value instanceof Map ? Object.fromEntries(value) : value);
+
+// Stored config merged over the defaults
+export const getScoringConfig = async () => {
+  const stored = await LeadScoringConfig.findOne({ key: 'default' }).lean();
+  const config = { ...DEFAULT_SCORING };
+
+  for (const field of SCORING_FIELDS) {
+    if (stored?.[field] !== undefined && stored[field] !== null) config[field] = toPlain(stored[field]);
+  }
+  config.autoPriority = {
+    enabled: stored?.autoPriority?.enabled ?? DEFAULT_SCORING.autoPriority.enabled,
+    thresholds: { ...DEFAULT_SCORING.autoPriority.thresholds, ...(stored?.autoPriority?.thresholds || {}) },
+  };
+  return { ...config, updatedAt: stored?.updatedAt, updatedBy: stored?.updatedBy };
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of problems with a (partial) config update
+export const validateScoringConfig = (input) => {
+  const errors = [];
+
+  const unknown = Object.keys(input).filter((field) => !SCORING_FIELDS.includes(field));
+  if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+
+  const checkWeights = (field, enumPath) => {
+    if (input[field] === undefined) return;
+    const allowed = getOptionValues(enumPath);
+    if (!input[field] || typeof input[field] !== 'object' || Array.isArray(input[field])) {
+      return errors.push(`${field} must be an object of ${enumPath} -> points`);
+    }
+    for (const [key, points] of Object.entries(input[field])) {
+      if (!allowed.includes(key)) errors.push(`${field}: unknown ${enumPath} "${key}"`);
+      if (!isNumber(points)) errors.push(`${field}.${key} must be a number`);
+    }
+  };
+  checkWeights('budgetWeights', 'budget');
+  checkWeights('timelineWeights', 'timeline');
+
+  for (const field of ['companyPoints', 'repeatSubmissionPoints', 'repeatSubmissionMax']) {
+    if (input[field] !== undefined && !isNumber(input[field])) errors.push(`${field} must be a number`);
+  }
+
+  if (input.messageLengthTiers !== undefined) {
+    const valid =
+      Array.isArray(input.messageLengthTiers) &&
+      input.messageLengthTiers.every((tier) => Number.isInteger(tier?.minLength) && tier.minLength > 0 && isNumber(tier.points));
+    if (!valid) errors.push('messageLengthTiers must be an array of { minLength, points }');
+  }
+
+  if (input.autoPriority !== undefined) {
+    const { enabled, thresholds = {} } = input.autoPriority || {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') errors.push('autoPriority.enabled must be a boolean');
+    for (const [level, value] of Object.entries(thresholds)) {
+      if (!PRIORITY_LEVELS.includes(level)) errors.push(`autoPriority.thresholds: unknown priority "${level}"`);
+      else if (!isNumber(value)) errors.push(`autoPriority.thresholds.${level} must be a number`);
+    }
+  }
+
+  return errors;
+};
+
+// Pure scoring: returns { score, breakdown } for a contact and the number of its earlier submissions
+export const computeLeadScore = (contact, config, previousSubmissions = 0) => {
+  const breakdown = [];
+  const add = (factor, points, value) => {
+    if (points) breakdown.push({ factor, value, points });
+  };
+
+  add('budget', config.budgetWeights[contact.budget] || 0, contact.budget);
+  add('timeline', config.timelineWeights[contact.timeline] || 0, contact.timeline);
+  add('company', contact.company?.trim() ? config.companyPoints : 0, contact.company);
+
+  const length = contact.message?.length || 0;
+  const tier = [...config.messageLengthTiers]
+    .sort((a, b) => b.minLength - a.minLength)
+    .find((candidate) => length >= candidate.minLength);
+  add('messageLength', tier?.points || 0, length);
+
+  add(
+    'repeatSubmissions',
+    Math.min(previousSubmissions * config.repeatSubmissionPoints, config.repeatSubmissionMax),
+    previousSubmissions
+  );
+
+  return { score: breakdown.reduce((sum, item) => sum + item.points, 0), breakdown };
+};
+
+export const priorityForScore = (score, config) => {
+  const { thresholds } = config.autoPriority;
+  return PRIORITY_LEVELS.find((level) => isNumber(thresholds[level]) && score >= thresholds[level]) || 'low';
+};
+
+// Builds the score fields (and the auto priority, when enabled and not set by hand) for a contact
+const buildScoreUpdate = (contact, config, previousSubmissions) => {
+  const { score, breakdown } = computeLeadScore(contact, config, previousSubmissions);
+  const update = { score, scoring: { breakdown, scoredAt: new Date(), manualPriority: contact.scoring?.manualPriority || false } };
+
+  if (config.autoPriority.enabled && contact.status !== 'spam' && !update.scoring.manualPriority) {
+    update.priority = priorityForScore(score, config);
+    // Saved contacts still waiting on a response get the due date of their new priority
+    if (contact.createdAt && !contact.firstResponseAt && update.priority !== contact.priority) {
+      update.slaDueAt = getSlaDueAt(getSlaStart(contact), update.priority);
+    }
+  }
+  return update;
+};
+
+// Score a new (unsaved) contact in place
+export const applyLeadScore = async (contact) => {
+  const config = await getScoringConfig();
+  const previousSubmissions = await Contact.countDocuments({
+    'dedupeKeys.email': normalizeEmail(contact.email),
+    _id: { $ne: contact._id },
+  });
+
+  contact.set(buildScoreUpdate(contact, config, previousSubmissions));
+  return contact;
+};
+
+// Re-score every contact after a rule change, oldest first so repeat counts build up in order.
+// A rescore is not an edit, so updatedAt is left alone; auto priority changes are still
+// recorded on each contact's timeline and in the audit log like any other priority change.
+export const rescoreAllContacts = async (req = null) => {
+  const config = await getScoringConfig();
+  const seen = new Map();
+  let batch = [];
+  let changedBefore = [];
+  let changedAfter = [];
+  let rescored = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Contact.bulkWrite(batch, { timestamps: false });
+    if (changedBefore.length > 0) {
+      await recordContactChanges(req, changedBefore, changedAfter);
+      await recordBulkAudit(req, {
+        entityType: 'contact',
+        action: 'rescore',
+        before: changedBefore,
+        after: changedAfter,
+      });
+    }
+    rescored += batch.length;
+    batch = [];
+    changedBefore = [];
+    changedAfter = [];
+  };
+
+  const cursor = Contact.find()
+    .select('email dedupeKeys budget timeline company message status priority scoring createdAt firstResponseAt slaStartedAt slaDueAt')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const contact of cursor) {
+    const key = contact.dedupeKeys?.email || normalizeEmail(contact.email);
+    const previousSubmissions = seen.get(key) || 0;
+    seen.set(key, previousSubmissions + 1);
+
+    const update = buildScoreUpdate(contact, config, previousSubmissions);
+    batch.push({ updateOne: { filter: { _id: contact._id }, update } });
+    if (update.priority && update.priority !== contact.priority) {
+      changedBefore.push({ _id: contact._id, priority: contact.priority, slaDueAt: contact.slaDueAt });
+      changedAfter.push({ _id: contact._id, priority: update.priority, slaDueAt: update.slaDueAt ?? contact.slaDueAt });
+    }
+    if (batch.length >= RESCORE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return rescored;
+};
@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Kayease <no-reply@kayease.com>';
+
+// Logs the recipient and subject of every message (default for local development).
+// Bodies carry invite and password-reset links, so they are never printed.
+export const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Outgoing email to ${message.to}: ${message.subject}`);
+    return { messageId: `console-${Date.now()}` };
+  },
+};
+
+// Writes every message as a JSON file, handy for tests and local inspection
+export const createFileTransport = (dir = process.env.MAIL_FILE_DIR || 'mail-outbox') => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2)
+    );
+    return { messageId };
+  },
+});
+
+export const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Rejects every message, so mail-dependent endpoints fail instead of reporting a delivery
+const createDisabledTransport = (reason) => ({
+  name: 'disabled',
+  send: async () => {
+    throw new Error(`Email is not configured: ${reason}`);
+  },
+});
+
+// The console and file stand-ins deliver nothing, so production sends no mail at all without SMTP
+const createTransportFromEnv = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (name === 'smtp') return createSmtpTransport();
+
+  if (process.env.NODE_ENV === 'production') {
+    const reason = `MAIL_TRANSPORT must be "smtp" in production (got "${name}")`;
+    console.error(`${reason}. Invites, password resets and contact emails will fail until it is set.`);
+    return createDisabledTransport(reason);
+  }
+  return name === 'file' ? createFileTransport() : consoleTransport;
+};
+
+let transport = createTransportFromEnv();
+
+// Swap the transport at runtime (e.g. a file transport in tests)
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+export const getMailTransport = () => transport;
+
+export const sendMail = async ({ to, subject, text, html, replyTo, from, headers }) => {
+  if (!to) throw new Error('Email recipient is required');
+
+  return transport.send({
+    from: from || MAIL_FROM,
+    to: Array.isArray(to) ? to.join(', ') : to,
+    replyTo,
+    subject,
+    text,
+    html,
+    headers,
+  });
+};
@@ -0,0 +1,143 @@
+import dotenv from 'dotenv';
+import { sendMail } from './mailer.js';
+import { ADMIN_APP_URL } from './auth.js';
+
+// Load environment variables
+dotenv.config();
+
+// Budgets that count as high-value leads (override with NOTIFY_HIGH_BUDGETS="50k-100k,100k+")
+const DEFAULT_HIGH_BUDGETS = ['50k-100k', '100k+'];
+
+// Parses a comma-separated env list into trimmed, non-empty entries
+export const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+export const isUrgentLead = (contact) =>
+  contact.priority === 'urgent' || contact.timeline === 'asap';
+
+export const isHighBudgetLead = (contact) => {
+  const highBudgets = parseList(process.env.NOTIFY_HIGH_BUDGETS);
+  return (highBudgets.length ? highBudgets : DEFAULT_HIGH_BUDGETS).includes(contact.budget);
+};
+
+// Everyone in NOTIFY_CONTACT_RECIPIENTS gets every lead; urgent and high-budget
+// leads are additionally routed to NOTIFY_URGENT_RECIPIENTS / NOTIFY_HIGH_BUDGET_RECIPIENTS
+export const getContactRecipients = (contact) => {
+  const recipients = parseList(process.env.NOTIFY_CONTACT_RECIPIENTS);
+
+  if (isUrgentLead(contact)) {
+    recipients.push(...parseList(process.env.NOTIFY_URGENT_RECIPIENTS));
+  }
+  if (isHighBudgetLead(contact)) {
+    recipients.push(...parseList(process.env.NOTIFY_HIGH_BUDGET_RECIPIENTS));
+  }
+
+  return [...new Set(recipients.map((email) => email.toLowerCase()))];
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+export const buildContactNotification = (contact) => {
+  const tags = [isUrgentLead(contact) && 'URGENT', isHighBudgetLead(contact) && 'HIGH BUDGET'].filter(Boolean);
+  const prefix = tags.length ? `[${tags.join(', ')}] ` : '';
+  const contactUrl = `${ADMIN_APP_URL}/contacts/${contact._id}`;
+
+  const fields = [
+    ['Name', contact.name],
+    ['Email', contact.email],
+    ['Phone', contact.phone],
+    ['Company', contact.company || '-'],
+    ['Project type', contact.projectTypeLabel],
+    ['Budget', contact.budgetLabel],
+    ['Timeline', contact.timelineLabel || '-'],
+  ];
+
+  const text =
+    fields.map(([label, value]) => `${label}: ${value}`).join('\n') +
+    `\n\nMessage:\n${contact.message}\n\nView in dashboard: ${contactUrl}`;
+
+  const html =
+    `<h2>New contact inquiry</h2>` +
+    `<table>${fields
+      .map(([label, value]) => `<tr><th align="left">${label}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('')}</table>` +
+    `<p><strong>Message</strong></p>` +
+    `<p style="white-space: pre-line">${escapeHtml(contact.message)}</p>` +
+    `<p><a href="${escapeHtml(contactUrl)}">View in dashboard</a></p>`;
+
+  return {
+    subject: `${prefix}New inquiry from ${contact.name}${contact.company ? ` (${contact.company})` : ''}`,
+    text,
+    html,
+  };
+};
+
+// Notifies staff about a new contact. Never throws: a mail failure must not fail the submission
+export const notifyNewContact = async (contact) => {
+  try {
+    if (contact.status === 'spam') return null;
+
+    const recipients = getContactRecipients(contact);
+    if (!recipients.length) return null;
+
+    return await sendMail({
+      to: recipients,
+      replyTo: contact.email,
+      ...buildContactNotification(contact),
+    });
+  } catch (error) {
+    console.error('Contact notification error:', error);
+    return null;
+  }
+};
+
+// Digest of contacts past their first-response SLA, sent to NOTIFY_SLA_RECIPIENTS
+// (falls back to NOTIFY_CONTACT_RECIPIENTS). Never throws.
+export const notifySlaBreaches = async (contacts) => {
+  try {
+    const recipients = parseList(process.env.NOTIFY_SLA_RECIPIENTS || process.env.NOTIFY_CONTACT_RECIPIENTS);
+    if (!recipients.length || !contacts.length) return null;
+
+    const rows = contacts.map((contact) => ({
+      name: contact.name,
+      priority: contact.priority,
+      assignee: contact.assignedTo?.name || 'Unassigned',
+      dueAt: contact.slaDueAt.toISOString(),
+      url: `${ADMIN_APP_URL}/contacts/${contact._id}`,
+    }));
+
+    const text =
+      `${contacts.length} contact(s) have not had a first response within their SLA:\n\n` +
+      rows.map((row) => `- ${row.name} [${row.priority}] ${row.assignee}, due ${row.dueAt}\n  ${row.url}`).join('\n');
+
+    const html =
+      `<p>${contacts.length} contact(s) have not had a first response within their SLA:</p><ul>` +
+      rows
+        .map(
+          (row) =>
+            `<li><a href="${escapeHtml(row.url)}">${escapeHtml(row.name)}</a> ` +
+            `[${escapeHtml(row.priority)}] ${escapeHtml(row.assignee)}, due ${escapeHtml(row.dueAt)}</li>`
+        )
+        .join('') +
+      '</ul>';
+
+    return await sendMail({
+      to: recipients,
+      subject: `[SLA] ${contacts.length} contact(s) overdue for a first response`,
+      text,
+      html,
+    });
+  } catch (error) {
+    console.error('SLA notification error:', error);
+    return null;
+  }
+};
@@ -0,0 +1,94 @@
+import Role from '../models/Role.js';
+import AdminUser from '../models/AdminUser.js';
+
+// Every router and the actions it exposes, used to validate role permissions
+export const RESOURCES = {
+  blogs: ['read', 'write', 'delete'],
+  careers: ['read', 'write', 'delete'],
+  clients: ['read', 'write', 'delete'],
+  cloudinary: ['write', 'delete'],
+  contacts: ['read', 'write', 'delete'],
+  portfolio: ['read', 'write', 'delete'],
+  team: ['read', 'write', 'delete'],
+  roles: ['read', 'write', 'delete'],
+  users: ['read', 'write', 'delete'],
+  apiKeys: ['read', 'write', 'delete'],
+  audit: ['read'],
+  emailTemplates: ['read', 'write'],
+  leadScoring: ['read', 'write'],
+  privacy: ['read', 'delete'],
+  formOptions: ['read', 'write', 'delete'],
+};
+
+export const PERMISSIONS = Object.entries(RESOURCES).flatMap(
+  ([resource, actions]) => actions.map((action) => `${resource}:${action}`)
+);
+
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every resource',
+    permissions: ['*'],
+  },
+  {
+    name: 'editor',
+    description: 'Marketing: manages blogs, portfolio, clients and team',
+    permissions: ['blogs:*', 'portfolio:*', 'clients:*', 'team:*', 'cloudinary:*'],
+  },
+  {
+    name: 'recruiter',
+    description: 'Manages career openings',
+    permissions: ['careers:*', 'cloudinary:write'],
+  },
+  {
+    name: 'sales',
+    description: 'Reads and updates contact inquiries',
+    permissions: ['contacts:read', 'contacts:write'],
+  },
+];
+
+// Accepts exact permissions plus "resource:*" and "*" wildcards
+export const isValidPermission = (permission) => {
+  if (permission === '*') return true;
+  const [resource, action] = String(permission).split(':');
+  if (!RESOURCES[resource]) return false;
+  return action === '*' || RESOURCES[resource].includes(action);
+};
+
+export const hasPermission = (granted = [], required) => {
+  const [resource] = required.split(':');
+  return granted.some(
+    (permission) =>
+      permission === '*' ||
+      permission === required ||
+      permission === `${resource}:*`
+  );
+};
+
+// Whether a user holding `granted` may hand out `permission` to a role: "*" only by holders of "*",
+// "resource:*" only when every action of that resource is held
+export const canGrantPermission = (granted = [], permission) => {
+  if (permission === '*') return granted.includes('*');
+
+  const [resource, action] = permission.split(':');
+  const actions = action === '*' ? RESOURCES[resource] || [] : [action];
+  return actions.every((item) => hasPermission(granted, `${resource}:${item}`));
+};
+
+// Create missing built-in roles and give role-less users (from before roles existed) the admin role
+export const ensureDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+
+  const adminRole = await Role.findOne({ name: 'admin' });
+  await AdminUser.updateMany(
+    { role: { $exists: false } },
+    { role: adminRole._id }
+  );
+  return adminRole;
+};
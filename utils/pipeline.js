@@ -0,0 +1,200 @@
+import dotenv from 'dotenv';
+import Contact from '../models/Contact.js';
+import { OPEN_STATUSES } from './assignment.js';
+
+// Load environment variables
+dotenv.config();
+
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Open statuses in order, then the two outcomes
+export const PIPELINE_STAGES = [...OPEN_STATUSES, 'won', 'lost'];
+
+export const DEAL_OUTCOMES = ['won', 'lost'];
+
+// Statuses that move to "quoted" once an amount is recorded
+const PRE_QUOTE_STATUSES = ['new', 'contacted', 'in-progress'];
+
+// Won/lost deals are their own stage; everything else sits at its status
+const STAGE_EXPRESSION = {
+  $cond: [{ $in: ['$deal.outcome', DEAL_OUTCOMES] }, '$deal.outcome', '$status'],
+};
+
+const invalidDate = (value) => value !== null && isNaN(new Date(value).getTime());
+
+// Validates a deal update against the current contact. Returns { errors, update } where
+// update is a $set for findByIdAndUpdate, including any status change the deal implies.
+export const buildDealUpdate = (body, contact) => {
+  const errors = [];
+  const update = {};
+  const now = new Date();
+  const { quotedAmount, currency, expectedCloseDate, outcome, lostReason } = body || {};
+
+  if (quotedAmount !== undefined) {
+    if (quotedAmount !== null && (typeof quotedAmount !== 'number' || !Number.isFinite(quotedAmount) || quotedAmount < 0)) {
+      errors.push('quotedAmount must be a non-negative number or null');
+    } else {
+      update['deal.quotedAmount'] = quotedAmount;
+      if (quotedAmount !== null && quotedAmount !== contact.deal?.quotedAmount) update['deal.quotedAt'] = now;
+      if (!contact.deal?.currency && currency === undefined) update['deal.currency'] = DEFAULT_CURRENCY;
+    }
+  }
+
+  if (currency !== undefined) {
+    if (typeof currency !== 'string' || !/^[a-z]{3}$/i.test(currency)) {
+      errors.push('currency must be a 3-letter ISO code');
+    } else {
+      update['deal.currency'] = currency.toUpperCase();
+    }
+  }
+
+  if (expectedCloseDate !== undefined) {
+    if (invalidDate(expectedCloseDate)) {
+      errors.push('expectedCloseDate must be a valid date or null');
+    } else {
+      update['deal.expectedCloseDate'] = expectedCloseDate === null ? null : new Date(expectedCloseDate);
+    }
+  }
+
+  if (outcome !== undefined) {
+    if (outcome !== null && !DEAL_OUTCOMES.includes(outcome)) {
+      errors.push(`outcome must be one of: ${DEAL_OUTCOMES.join(', ')} (or null to reopen)`);
+    } else if (outcome === 'lost' && !String(lostReason ?? contact.deal?.lostReason ?? '').trim()) {
+      errors.push('lostReason is required when a deal is lost');
+    } else {
+      update['deal.outcome'] = outcome;
+      update['deal.closedAt'] = outcome ? now : null;
+      if (outcome !== 'lost') update['deal.lostReason'] = null;
+    }
+  }
+
+  const nextOutcome = outcome !== undefined ? outcome : contact.deal?.outcome;
+  if (lostReason !== undefined && nextOutcome === 'lost') {
+    update['deal.lostReason'] = String(lostReason).trim();
+  }
+
+  if (errors.length > 0 || Object.keys(update).length === 0) {
+    return { errors, update };
+  }
+
+  // Status follows the deal
+  const amount = update['deal.quotedAmount'] !== undefined ? update['deal.quotedAmount'] : contact.deal?.quotedAmount;
+  if (outcome) {
+    update.status = 'closed';
+  } else if (outcome === null && contact.deal?.outcome) {
+    update.status = amount != null ? 'quoted' : 'in-progress';
+  } else if (amount != null && !contact.deal?.outcome && PRE_QUOTE_STATUSES.includes(contact.status)) {
+    update.status = 'quoted';
+  }
+
+  return { errors, update };
+};
+
+// Contacts grouped by stage with per-currency totals of quoted value
+export const getPipeline = async (filter, { limit = 20 } = {}) => {
+  const base = [{ $match: filter }, { $addFields: { stage: STAGE_EXPRESSION } }, { $match: { stage: { $in: PIPELINE_STAGES } } }];
+
+  const [stageGroups, valueGroups] = await Promise.all([
+    Contact.aggregate([
+      ...base,
+      { $sort: { updatedAt: -1 } },
+      {
+        $group: {
+          _id: '$stage',
+          count: { $sum: 1 },
+          contacts: {
+            $push: {
+              _id: '$_id',
+              name: '$name',
+              company: '$company',
+              projectType: '$projectType',
+              priority: '$priority',
+              score: '$score',
+              assignedTo: '$assignedTo',
+              deal: '$deal',
+              updatedAt: '$updatedAt',
+            },
+          },
+        },
+      },
+      { $project: { count: 1, contacts: { $slice: ['$contacts', limit] } } },
+    ]),
+    Contact.aggregate([
+      ...base,
+      { $match: { 'deal.quotedAmount': { $ne: null } } },
+      {
+        $group: {
+          _id: { stage: '$stage', currency: { $ifNull: ['$deal.currency', DEFAULT_CURRENCY] } },
+          total: { $sum: '$deal.quotedAmount' },
+        },
+      },
+    ]),
+  ]);
+
+  const stagesById = new Map(stageGroups.map((group) => [group._id, group]));
+
+  return PIPELINE_STAGES.map((stage) => {
+    const totalValue = valueGroups
+      .filter((group) => group._id.stage === stage)
+      .reduce((acc, group) => ({ ...acc, [group._id.currency]: group.total }), {});
+
+    return {
+      stage,
+      count: stagesById.get(stage)?.count || 0,
+      totalValue,
+      contacts: stagesById.get(stage)?.contacts || [],
+    };
+  });
+};
+
+const conversionBy = (field, filter) =>
+  Contact.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: `$${field}`,
+        total: { $sum: 1 },
+        quoted: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$deal.quotedAmount', null] }, null] }, 1, 0] } },
+        won: { $sum: { $cond: [{ $eq: ['$deal.outcome', 'won'] }, 1, 0] } },
+        lost: { $sum: { $cond: [{ $eq: ['$deal.outcome', 'lost'] }, 1, 0] } },
+      },
+    },
+    { $sort: { total: -1 } },
+  ]);
+
+const wonValueBy = (field, filter) =>
+  Contact.aggregate([
+    { $match: { ...filter, 'deal.outcome': 'won', 'deal.quotedAmount': { $ne: null } } },
+    {
+      $group: {
+        _id: { key: `$${field}`, currency: { $ifNull: ['$deal.currency', DEFAULT_CURRENCY] } },
+        total: { $sum: '$deal.quotedAmount' },
+      },
+    },
+  ]);
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Conversion from projectType and budget band to won deals. Rates are percentages.
+export const getConversionReport = async (filter) => {
+  const report = {};
+
+  for (const field of ['projectType', 'budget']) {
+    const [groups, values] = await Promise.all([conversionBy(field, filter), wonValueBy(field, filter)]);
+
+    report[field] = groups.map((group) => ({
+      [field]: group._id,
+      total: group.total,
+      quoted: group.quoted,
+      won: group.won,
+      lost: group.lost,
+      conversionRate: rate(group.won, group.total),
+      winRate: rate(group.won, group.won + group.lost),
+      wonValue: values
+        .filter((value) => value._id.key === group._id)
+        .reduce((acc, value) => ({ ...acc, [value._id.currency]: value.total }), {}),
+    }));
+  }
+
+  return report;
+};
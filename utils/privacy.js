@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import Contact from '../models/Contact.js';
+import ContactActivity from '../models/ContactActivity.js';
+import ContactMessage from '../models/ContactMessage.js';
+import AuditLog from '../models/AuditLog.js';
+import { normalizeEmail } from './contactKeys.js';
+import { recordAudit } from './audit.js';
+import { deleteContactAttachments, withDownloadUrls } from './contactAttachments.js';
+import { findMergedDescendants } from './duplicates.js';
+
+// Load environment variables
+dotenv.config();
+
+// Retention policy in days; each step is off (0) until its RETENTION_* variable is set
+export const RETENTION_POLICY = {
+  clientDataDays: Number(process.env.RETENTION_CLIENT_DATA_DAYS) || 0,
+  archivedContactDays: Number(process.env.RETENTION_ARCHIVED_DAYS) || 0,
+};
+
+// Key for the address hashes in erasure/export logs (a plain hash could be reversed by guessing addresses)
+const PRIVACY_HASH_SECRET = process.env.PRIVACY_HASH_SECRET || process.env.JWT_SECRET;
+
+if (!PRIVACY_HASH_SECRET) {
+  console.error('Missing PRIVACY_HASH_SECRET (or JWT_SECRET). Privacy requests will fail until it is set in your .env file.');
+}
+
+// Contact fields that identify a person; redacted from audit history on erasure
+const PERSONAL_FIELDS = [
+  'name', 'email', 'phone', 'company', 'message', 'ipAddress', 'userAgent', 'attribution', 'dedupeKeys', 'attachments',
+  'scoring', 'messageHash',
+];
+
+// Timeline entries without personal data, kept so status/assignment history and stats survive
+const NON_PERSONAL_ACTIVITY = ['status-change', 'priority-change', 'assignment'];
+
+const ERASED = '[erased]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stamp archivedAt on contacts that just moved to "archived" and clear it on those that left.
+// Call after status updates that bypass the model's save hook (findByIdAndUpdate, updateMany).
+export const syncArchivedAt = async (filter, at = new Date()) => {
+  await Promise.all([
+    Contact.updateMany({ ...filter, status: 'archived', archivedAt: null }, { archivedAt: at }, { timestamps: false }),
+    Contact.updateMany(
+      { ...filter, status: { $ne: 'archived' }, archivedAt: { $ne: null } },
+      { archivedAt: null },
+      { timestamps: false }
+    ),
+  ]);
+};
+
+// Erasure logs must not contain the address itself, so requests are identified by a hash
+export const hashEmail = (email) => {
+  if (!PRIVACY_HASH_SECRET) throw new Error('PRIVACY_HASH_SECRET is not configured');
+  return crypto.createHmac('sha256', PRIVACY_HASH_SECRET).update(normalizeEmail(email)).digest('hex');
+};
+
+// Every contact held for an address, including plus-tagged or dotted Gmail variants
+export const findContactsByEmail = (email) => {
+  const normalized = normalizeEmail(email);
+  return Contact.find({
+    $or: [{ email: String(email).trim().toLowerCase() }, ...(normalized ? [{ 'dedupeKeys.email': normalized }] : [])],
+    erasedAt: null,
+  });
+};
+
+// Everything held about an address as one JSON bundle
+export const exportPersonalData = async (req, email) => {
+  const emailHash = hashEmail(email);
+  const contacts = await findContactsByEmail(email);
+  const ids = contacts.map((contact) => contact._id);
+
+  const [messages, activity] = await Promise.all([
+    ContactMessage.find({ contact: { $in: ids } }).sort({ createdAt: 1 }).lean(),
+    ContactActivity.find({ contact: { $in: ids } }).sort({ occurredAt: 1 }).lean(),
+  ]);
+
+  await recordAudit(req, {
+    entityType: 'privacy',
+    action: 'export',
+    metadata: { emailHash, contactIds: ids.map(String) },
+  });
+
+  return {
+    subject: { email },
+    generatedAt: new Date(),
+    contacts: contacts.map((contact) => ({
+      ...contact.toObject({ virtuals: false }),
+      attachments: withDownloadUrls(contact.attachments),
+    })),
+    messages,
+    activity,
+  };
+};
+
+const redactChanges = (changes = {}) => {
+  const redacted = { ...changes };
+  for (const field of PERSONAL_FIELDS) {
+    if (redacted[field]) redacted[field] = { from: ERASED, to: ERASED };
+  }
+  return redacted;
+};
+
+// Audit entries keep who did what, but not the contacts' personal data
+// (nor the submitter's IP/user agent on entries from the public form)
+const redactAuditHistory = async (ids) => {
+  const auditEntries = await AuditLog.find({ entityType: 'contact', entityId: { $in: ids.map(String) } })
+    .select('changes actor')
+    .lean();
+  if (auditEntries.length === 0) return;
+
+  await AuditLog.bulkWrite(
+    auditEntries.map((entry) => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: {
+          $set: { changes: redactChanges(entry.changes) },
+          ...(entry.actor?.type === 'public' ? { $unset: { ipAddress: 1, userAgent: 1 } } : {}),
+        },
+      },
+    }))
+  );
+};
+
+// Contact exports log their list query; drop search texts that overlap one of the erased
+// contacts' identifiers (either way round, so "jane.doe" and "jane.doe@example.com" both go)
+const redactExportSearches = async (contacts) => {
+  const identifiers = contacts
+    .flatMap((contact) => [contact.email, contact.name, contact.phone, contact.company])
+    .map((value) => String(value || '').trim().toLowerCase())
+    .filter((value) => value.length >= 3);
+  if (identifiers.length === 0) return;
+
+  const exportEntries = await AuditLog.find({
+    entityType: 'contact',
+    action: 'export',
+    'metadata.query.search': { $nin: [null, '', ERASED] },
+  })
+    .select('metadata.query.search')
+    .lean();
+  const ids = exportEntries
+    .filter((entry) => {
+      const search = String(entry.metadata.query.search).trim().toLowerCase();
+      return identifiers.some((value) => search.includes(value) || (search.length >= 3 && value.includes(search)));
+    })
+    .map((entry) => entry._id);
+  if (ids.length === 0) return;
+
+  await AuditLog.updateMany({ _id: { $in: ids } }, { $set: { 'metadata.query.search': ERASED } });
+};
+
+// Anonymize contacts in place: personal fields are replaced, while projectType, budget, status,
+// deal, score and dates stay so aggregate stats are unchanged. Related messages, notes and files
+// are deleted and the contacts' audit history is redacted.
+export const anonymizeContacts = async (contacts) => {
+  const ids = contacts.map((contact) => contact._id);
+  const erasedAt = new Date();
+
+  await deleteContactAttachments(contacts);
+
+  const [messages, activity] = await Promise.all([
+    ContactMessage.deleteMany({ contact: { $in: ids } }),
+    ContactActivity.deleteMany({ contact: { $in: ids }, type: { $nin: NON_PERSONAL_ACTIVITY } }),
+  ]);
+
+  if (ids.length > 0) {
+    await Contact.bulkWrite(
+      contacts.map((contact) => ({
+        updateOne: {
+          filter: { _id: contact._id },
+          update: {
+            $set: {
+              name: 'Erased contact',
+              email: `erased-${contact._id}@erased.invalid`,
+              phone: 'erased',
+              company: '',
+              message: ERASED,
+              messageHash: '',
+              attachments: [],
+              dedupeKeys: { email: '', phone: '', company: '' },
+              'spam.reasons': [],
+              // The breakdown keeps the scored values, including the company name
+              'scoring.breakdown': [],
+              erasedAt,
+            },
+            $unset: {
+              ipAddress: 1,
+              userAgent: 1,
+              'attribution.referrer': 1,
+              'attribution.landingPage': 1,
+              'attribution.utmTerm': 1,
+              'attribution.utmContent': 1,
+              'deal.lostReason': 1,
+            },
+          },
+        },
+      }))
+    );
+
+    await redactAuditHistory(ids);
+    await redactExportSearches(contacts);
+  }
+
+  return {
+    contacts: ids.length,
+    messages: messages.deletedCount,
+    activity: activity.deletedCount,
+    attachments: contacts.reduce((sum, contact) => sum + (contact.attachments?.length || 0), 0),
+  };
+};
+
+// Erase everything held for an address and log the erasure (without the address)
+export const erasePersonalData = async (req, email) => {
+  const emailHash = hashEmail(email);
+  const contacts = await findContactsByEmail(email);
+  const counts = await anonymizeContacts(contacts);
+
+  await recordAudit(req, {
+    entityType: 'privacy',
+    action: 'erase',
+    metadata: { emailHash, contactIds: contacts.map((contact) => String(contact._id)), ...counts },
+  });
+
+  return counts;
+};
+
+// Strip client data after clientDataDays and delete contacts archived for archivedContactDays.
+// Both steps are logged as system actions. Never throws.
+export const runRetention = async (req = null, { now = new Date() } = {}) => {
+  const result = { clientDataStripped: 0, archivedPurged: 0 };
+
+  try {
+    if (RETENTION_POLICY.clientDataDays > 0) {
+      const cutoff = new Date(now.getTime() - RETENTION_POLICY.clientDataDays * DAY_MS);
+      const { modifiedCount } = await Contact.updateMany(
+        {
+          createdAt: { $lt: cutoff },
+          $or: [{ ipAddress: { $exists: true } }, { userAgent: { $exists: true } }],
+        },
+        { $unset: { ipAddress: 1, userAgent: 1 } },
+        { timestamps: false }
+      );
+      // Public form submissions also left the client's IP on their audit entries
+      await AuditLog.updateMany(
+        { 'actor.type': 'public', createdAt: { $lt: cutoff }, ipAddress: { $exists: true } },
+        { $unset: { ipAddress: 1, userAgent: 1 } }
+      );
+      result.clientDataStripped = modifiedCount;
+    }
+
+    if (RETENTION_POLICY.archivedContactDays > 0) {
+      const cutoff = new Date(now.getTime() - RETENTION_POLICY.archivedContactDays * DAY_MS);
+      // Contacts archived before archivedAt existed count from their last update
+      await Contact.updateMany(
+        { status: 'archived', archivedAt: null },
+        [{ $set: { archivedAt: '$updatedAt' } }],
+        { timestamps: false }
+      );
+      const primaries = await Contact.find({ status: 'archived', archivedAt: { $lt: cutoff } })
+        .select('attachments')
+        .lean();
+      // Their merged duplicates go too, or they would be left pointing at a deleted contact
+      const archived = [...primaries, ...(await findMergedDescendants(primaries.map((contact) => contact._id)))];
+      const ids = archived.map((contact) => contact._id);
+
+      if (ids.length > 0) {
+        await deleteContactAttachments(archived);
+        await Promise.all([
+          ContactMessage.deleteMany({ contact: { $in: ids } }),
+          ContactActivity.deleteMany({ contact: { $in: ids } }),
+          Contact.deleteMany({ _id: { $in: ids } }),
+        ]);
+        await redactAuditHistory(ids);
+        result.archivedPurged = ids.length;
+        result.purgedContactIds = ids.map(String);
+      }
+    }
+
+    if (result.clientDataStripped || result.archivedPurged) {
+      await recordAudit(req, {
+        entityType: 'privacy',
+        action: 'retention',
+        metadata: { policy: RETENTION_POLICY, ...result },
+      });
+    }
+  } catch (error) {
+    console.error('Retention job error:', error);
+    result.error = error.message;
+  }
+
+  return result;
+};
+
+// Daily in-process retention run (RETENTION_INTERVAL_HOURS, default 24; 0 disables). Only starts
+// when a retention step is configured, and the first run waits a full interval rather than
+// purging as the server boots.
+export const startRetentionJob = () => {
+  const hours = Number(process.env.RETENTION_INTERVAL_HOURS ?? 24);
+  if (!hours || (!RETENTION_POLICY.clientDataDays && !RETENTION_POLICY.archivedContactDays)) return null;
+
+  const timer = setInterval(() => runRetention(), hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
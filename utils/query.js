@@ -0,0 +1,170 @@
+// Shared helpers for list endpoints: escaped search, whitelisted params/sorting/filters and capped pagination.
+// Invalid input throws a QueryError, which routes turn into a 400 response.
+
+export const MAX_LIMIT = 100;
+
+export class QueryError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'QueryError';
+    this.details = details;
+  }
+}
+
+export const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Case-insensitive "contains" match on any of the given fields (array fields match any element)
+export const buildSearchFilter = (search, fields) => {
+  if (typeof search !== 'string') throw new QueryError('Search must be a single string');
+  const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+  return fields.map((field) => ({ [field]: pattern }));
+};
+
+export const assertAllowedParams = (query, allowed) => {
+  const unknown = Object.keys(query).filter((param) => !allowed.includes(param));
+  if (unknown.length > 0) {
+    throw new QueryError(`Unsupported query parameter(s): ${unknown.join(', ')}`, { allowed });
+  }
+};
+
+const parsePositiveInt = (value, name) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new QueryError(`${name} must be a positive integer`);
+  }
+  return parsed;
+};
+
+// Validates params against `params`, returns { page, limit, skip, sort }
+export const parseListQuery = (
+  query,
+  { params, sortable = [], defaultSortBy = 'createdAt', defaultLimit = 10, maxLimit = MAX_LIMIT }
+) => {
+  assertAllowedParams(query, params);
+
+  const page = parsePositiveInt(query.page ?? 1, 'page');
+  const limit = Math.min(parsePositiveInt(query.limit ?? defaultLimit, 'limit'), maxLimit);
+
+  const sortBy = query.sortBy ?? defaultSortBy;
+  if (!sortable.includes(sortBy)) {
+    throw new QueryError(`Cannot sort by "${sortBy}"`, { allowed: sortable });
+  }
+
+  const sortOrder = query.sortOrder ?? 'desc';
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    throw new QueryError('sortOrder must be "asc" or "desc"');
+  }
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 },
+  };
+};
+
+// A filter value must be one of the allowed values (e.g. a schema enum)
+export const parseEnumFilter = (value, allowedValues, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string' || !allowedValues.includes(value)) {
+    throw new QueryError(`Invalid ${name} "${value}"`, { allowed: allowedValues });
+  }
+  return value;
+};
+
+// Like parseEnumFilter, but "a,b" matches any of the listed values
+export const parseEnumListFilter = (value, allowedValues, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') {
+    throw new QueryError(`${name} must be a single string`);
+  }
+
+  const values = [...new Set(value.split(',').map((item) => item.trim()).filter(Boolean))];
+  values.forEach((item) => parseEnumFilter(item, allowedValues, name));
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+export const parseBooleanFilter = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (value !== 'true' && value !== 'false') {
+    throw new QueryError(`${name} must be "true" or "false"`);
+  }
+  return value === 'true';
+};
+
+const RELATIVE_DATE = /^(now|today|startOfWeek|startOfMonth)(?:([+-])(\d+)([hdw]))?$/;
+const UNIT_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Relative expressions such as "now", "today-7d", "now-24h" or "startOfMonth", resolved at query time
+export const resolveRelativeDate = (value, now = new Date()) => {
+  const match = RELATIVE_DATE.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, anchor, sign, amount, unit] = match;
+  const date = new Date(now);
+  if (anchor !== 'now') date.setHours(0, 0, 0, 0);
+  if (anchor === 'startOfWeek') date.setDate(date.getDate() - date.getDay());
+  if (anchor === 'startOfMonth') date.setDate(1);
+  if (sign) date.setTime(date.getTime() + (sign === '-' ? -1 : 1) * Number(amount) * UNIT_MS[unit]);
+
+  return date;
+};
+
+export const parseDateFilter = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') {
+    throw new QueryError(`${name} must be a valid date`);
+  }
+
+  const date = resolveRelativeDate(value) || new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new QueryError(`${name} must be a valid date or a relative expression like "today-7d"`);
+  }
+  return date;
+};
+
+// Build a { $gte, $lte } range from optional dateFrom/dateTo params
+export const parseDateRange = (dateFrom, dateTo) => {
+  const from = parseDateFilter(dateFrom, 'dateFrom');
+  const to = parseDateFilter(dateTo, 'dateTo');
+  if (!from && !to) return undefined;
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+// Copy only whitelisted fields from a request body; unknown fields are rejected
+export const pickAllowedFields = (body, allowed) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new QueryError('Update data must be an object');
+  }
+
+  const unknown = Object.keys(body).filter((field) => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw new QueryError(`Field(s) cannot be updated: ${unknown.join(', ')}`, { allowed });
+  }
+
+  return Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined));
+};
+
+// Find the first key starting with "$" (a MongoDB operator) anywhere in a value
+export const findOperatorKey = (value, path = '') => {
+  if (!value || typeof value !== 'object') return null;
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (key.startsWith('$')) return childPath;
+    const found = findOperatorKey(child, childPath);
+    if (found) return found;
+  }
+
+  return null;
+};
+
+export const sendQueryError = (res, error) => {
+  return res.status(400).json({ error: error.message, ...(error.details || {}) });
+};
@@ -0,0 +1,58 @@
+import RateLimit from '../models/RateLimit.js';
+
+// Fixed-window counters. Every store implements increment(key, windowMs) -> { count, resetAt }.
+
+// Per-process store, fine for a single server instance
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+// Shared store backed by MongoDB, for running several server instances
+export class MongoStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    const active = await RateLimit.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+    if (active) return { count: active.count, resetAt: active.expiresAt };
+
+    // No window yet, or the previous one has ended
+    const fresh = await RateLimit.findOneAndUpdate(
+      { key },
+      { count: 1, expiresAt: new Date(now.getTime() + windowMs) },
+      { new: true, upsert: true }
+    );
+    return { count: fresh.count, resetAt: fresh.expiresAt };
+  }
+}
+
+export const createStore = (type = process.env.RATE_LIMIT_STORE) => {
+  return type === 'mongo' ? new MongoStore() : new MemoryStore();
+};
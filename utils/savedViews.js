@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import SavedView from '../models/SavedView.js';
+import { CONTACT_LIST_PARAMS, CONTACT_SORT_FIELDS, buildContactFilter } from './contactFilters.js';
+import { assertAllowedParams, parseListQuery, QueryError } from './query.js';
+
+// Params a view can store: filters and sorting, not paging
+export const VIEW_QUERY_PARAMS = CONTACT_LIST_PARAMS.filter((param) => !['page', 'limit', 'view'].includes(param));
+
+// Validate and normalize a view's query (values become strings, like a real query string)
+export const normalizeViewQuery = (input = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new QueryError('query must be an object of list parameters');
+  }
+
+  const query = {};
+  for (const [param, value] of Object.entries(input)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new QueryError(`${param} must be a string`);
+    }
+    query[param] = String(value);
+  }
+
+  assertAllowedParams(query, VIEW_QUERY_PARAMS);
+  // Throws a QueryError for invalid values
+  buildContactFilter(query);
+  parseListQuery(query, { params: VIEW_QUERY_PARAMS, sortable: CONTACT_SORT_FIELDS });
+
+  return query;
+};
+
+// Views a caller can see: their own plus shared ones (API keys only see shared views)
+export const visibleViewsFilter = (req) =>
+  req.user ? { $or: [{ owner: req.user._id }, { isShared: true }] } : { isShared: true };
+
+export const findVisibleView = (req, id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SavedView.findOne({ _id: id, ...visibleViewsFilter(req) });
+};
+
+// Live count for sidebar badges; null when the stored query no longer validates
+export const countViewContacts = async (view) => {
+  try {
+    return await Contact.countDocuments(buildContactFilter(view.query || {}));
+  } catch (error) {
+    if (error.name === 'QueryError') return null;
+    throw error;
+  }
+};
+
+// Apply ?view=<id>: the view's params first, explicit query params on top
+export const resolveViewQuery = async (req) => {
+  const { view: viewId, ...params } = req.query;
+  if (viewId === undefined || viewId === '') return { query: params, view: null };
+
+  const view = await findVisibleView(req, viewId);
+  if (!view) throw new QueryError(`View "${viewId}" not found`);
+
+  return { query: { ...view.query, ...params }, view };
+};
@@ -0,0 +1,86 @@
+import RefreshToken from '../models/RefreshToken.js';
+import AdminUser from '../models/AdminUser.js';
+import {
+  signAccessToken,
+  generateToken,
+  hashToken,
+  REFRESH_TOKEN_TTL_DAYS,
+} from './auth.js';
+
+const refreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+const storeRefreshToken = async (user, req, family, refreshToken = generateToken()) => {
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: refreshExpiry(),
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+  return refreshToken;
+};
+
+// Start a new session: short-lived access token plus a rotating refresh token
+export const createSession = async (user, req) => {
+  const refreshToken = await storeRefreshToken(user, req, generateToken(16));
+  user.lastLoginAt = new Date();
+  await AdminUser.updateOne({ _id: user._id }, { lastLoginAt: user.lastLoginAt });
+  return { token: signAccessToken(user), refreshToken };
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is not usable.
+// Presenting an already rotated token means it leaked, so the whole family is revoked.
+export const rotateSession = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+  const existing = await RefreshToken.findOne({ tokenHash });
+
+  if (!existing || existing.expiresAt < new Date()) return null;
+
+  const revokeFamily = () =>
+    RefreshToken.updateMany(
+      { family: existing.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+  if (existing.revokedAt) {
+    await revokeFamily();
+    return null;
+  }
+
+  const user = await AdminUser.findById(existing.user).populate('role');
+  if (!user || !user.isActive) return null;
+
+  const refreshToken = generateToken();
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { revokedAt: new Date(), replacedByHash: hashToken(refreshToken) }
+  );
+
+  // Another request rotated the same token first
+  if (!claimed) {
+    await revokeFamily();
+    return null;
+  }
+
+  await storeRefreshToken(user, req, existing.family, refreshToken);
+
+  return { user, token: signAccessToken(user), refreshToken };
+};
+
+export const revokeSession = async (rawToken) => {
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(rawToken), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Log out everywhere: revoke every refresh token and invalidate issued access tokens
+export const revokeAllSessions = async (userId) => {
+  await Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() }),
+    AdminUser.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }),
+  ]);
+};
@@ -0,0 +1,139 @@
+import dotenv from 'dotenv';
+import Contact from '../models/Contact.js';
+import { notifySlaBreaches } from './notifications.js';
+
+// Load environment variables
+dotenv.config();
+
+// First-response targets in hours per priority (override with SLA_HOURS_<PRIORITY>, e.g. SLA_HOURS_URGENT=2)
+const DEFAULT_SLA_HOURS = { urgent: 4, high: 12, medium: 24, low: 48 };
+
+export const SLA_TARGET_HOURS = Object.fromEntries(
+  Object.entries(DEFAULT_SLA_HOURS).map(([priority, hours]) => [
+    priority,
+    Number(process.env[`SLA_HOURS_${priority.toUpperCase()}`]) || hours,
+  ])
+);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const getSlaDueAt = (startedAt, priority) => {
+  const hours = SLA_TARGET_HOURS[priority] ?? SLA_TARGET_HOURS.medium;
+  return new Date(new Date(startedAt).getTime() + hours * HOUR_MS);
+};
+
+// Start of a contact's SLA clock (contacts from before slaStartedAt existed start at createdAt)
+export const getSlaStart = (contact) => contact.slaStartedAt || contact.createdAt;
+
+// Filter for contacts still waiting on a first response past their SLA
+export const overdueFilter = (now = new Date()) => ({
+  firstResponseAt: null,
+  slaDueAt: { $lt: now },
+});
+
+// Recompute the due date from the SLA start after a priority change (only while no one has responded)
+export const refreshSlaDueAt = (filter, priority) => {
+  const hours = SLA_TARGET_HOURS[priority] ?? SLA_TARGET_HOURS.medium;
+  return Contact.updateMany({ ...filter, firstResponseAt: null }, [
+    { $set: { slaDueAt: { $add: [{ $ifNull: ['$slaStartedAt', '$createdAt'] }, hours * HOUR_MS] } } },
+  ]);
+};
+
+// Record the first response (a move out of "new", a reply or a note). Only the first one counts.
+export const markFirstResponse = async (ids, at = new Date()) => {
+  try {
+    await Contact.updateMany(
+      { _id: { $in: [].concat(ids) }, firstResponseAt: null, status: { $ne: 'spam' } },
+      { firstResponseAt: at },
+      { timestamps: false }
+    );
+  } catch (error) {
+    console.error('Error recording first response:', error);
+  }
+};
+
+// Statuses that count as a response when a contact leaves "new"
+export const isResponseStatus = (status) => status && !['new', 'spam'].includes(status);
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const toMinutes = (ms) => (ms === null ? null : Math.round(ms / 60000));
+
+// Median/p90 first-response time and breach counts over the given contacts filter
+export const getSlaStats = async (match = {}) => {
+  const now = new Date();
+
+  const [responseTimes, respondedLate, overdueOpen] = await Promise.all([
+    Contact.aggregate([
+      { $match: { ...match, firstResponseAt: { $ne: null } } },
+      { $project: { ms: { $subtract: ['$firstResponseAt', { $ifNull: ['$slaStartedAt', '$createdAt'] }] } } },
+      { $sort: { ms: 1 } },
+    ]),
+    Contact.countDocuments({
+      ...match,
+      firstResponseAt: { $ne: null },
+      $expr: { $gt: ['$firstResponseAt', '$slaDueAt'] },
+      slaDueAt: { $ne: null },
+    }),
+    Contact.countDocuments({ ...match, ...overdueFilter(now) }),
+  ]);
+
+  const sorted = responseTimes.map((item) => item.ms);
+
+  return {
+    targetHours: SLA_TARGET_HOURS,
+    responded: sorted.length,
+    medianFirstResponseMinutes: toMinutes(percentile(sorted, 50)),
+    p90FirstResponseMinutes: toMinutes(percentile(sorted, 90)),
+    breaches: {
+      respondedLate,
+      overdueOpen,
+      total: respondedLate + overdueOpen,
+    },
+  };
+};
+
+// Notify about newly overdue contacts once each. Never throws.
+export const checkSlaBreaches = async () => {
+  try {
+    const overdue = await Contact.find({
+      ...overdueFilter(),
+      status: { $ne: 'spam' },
+      mergedInto: null,
+      slaBreachNotifiedAt: null,
+    })
+      .sort({ slaDueAt: 1 })
+      .limit(100)
+      .populate('assignedTo', 'name');
+
+    if (overdue.length === 0) return 0;
+
+    // Unsent digests (no recipients, transport failure) are retried on the next run
+    const sent = await notifySlaBreaches(overdue);
+    if (!sent) return 0;
+
+    await Contact.updateMany(
+      { _id: { $in: overdue.map((contact) => contact._id) } },
+      { slaBreachNotifiedAt: new Date() },
+      { timestamps: false }
+    );
+    return overdue.length;
+  } catch (error) {
+    console.error('SLA check error:', error);
+    return 0;
+  }
+};
+
+// Periodic in-process check (SLA_CHECK_INTERVAL_MINUTES, default 15; 0 disables)
+export const startSlaMonitor = () => {
+  const minutes = Number(process.env.SLA_CHECK_INTERVAL_MINUTES ?? 15);
+  if (!minutes) return null;
+
+  const timer = setInterval(checkSlaBreaches, minutes * 60 * 1000);
+  timer.unref();
+  checkSlaBreaches();
+  return timer;
+};
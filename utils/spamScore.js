@@ -0,0 +1,112 @@
+import Contact from '../models/Contact.js';
+import { hashMessage } from './contactKeys.js';
+
+// Submissions scoring at or above this are stored with status "spam"
+export const SPAM_THRESHOLD = Number(process.env.SPAM_THRESHOLD) || 50;
+
+// Hidden form field real users never fill in
+export const HONEYPOT_FIELD = process.env.SPAM_HONEYPOT_FIELD || 'website';
+
+// Humans need at least this long to fill in the form (the frontend sends formStartedAt)
+const MIN_FILL_SECONDS = 3;
+
+// How far back a repeated message counts, so the lookup stays on a bounded slice of the index
+const REPEATED_MESSAGE_DAYS = 30;
+
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com',
+  'discard.email',
+  'dispostable.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+  ...(process.env.SPAM_DISPOSABLE_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+const countLinks = (text) => {
+  return (String(text).match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+};
+
+// Score a contact form submission. Returns { score, reasons, isSpam }.
+// `now` lets callers pin the clock when checking submission timing.
+export const scoreContactSubmission = async (submission, { now = Date.now() } = {}) => {
+  const { email = '', phone = '', message = '', formStartedAt } = submission;
+  const reasons = [];
+  let score = 0;
+
+  const flag = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  if (submission[HONEYPOT_FIELD]) {
+    flag(100, 'honeypot field filled');
+  }
+
+  if (formStartedAt) {
+    const startedAt = new Date(isNaN(formStartedAt) ? formStartedAt : Number(formStartedAt)).getTime();
+    const elapsedSeconds = (now - startedAt) / 1000;
+    if (isNaN(elapsedSeconds) || elapsedSeconds < 0) {
+      flag(20, 'invalid form timing');
+    } else if (elapsedSeconds < MIN_FILL_SECONDS) {
+      flag(40, `form submitted in ${elapsedSeconds.toFixed(1)}s`);
+    }
+  }
+
+  const links = countLinks(message);
+  if (links >= 3) {
+    flag(40, `${links} links in message`);
+  } else if (links > 0) {
+    flag(links * 10, `${links} link(s) in message`);
+  }
+
+  const domain = String(email).split('@')[1]?.toLowerCase();
+  if (domain && DISPOSABLE_DOMAINS.has(domain)) {
+    flag(40, `disposable email domain ${domain}`);
+  }
+
+  const digits = String(phone).replace(/\D/g, '');
+  if (/[a-z]/i.test(phone) || digits.length < 7 || digits.length > 15) {
+    flag(25, 'invalid phone number format');
+  } else if (/^(\d)\1+$/.test(digits)) {
+    flag(25, 'repeated digits in phone number');
+  }
+
+  if (/(.)\1{9,}/.test(message)) {
+    flag(15, 'repeated characters in message');
+  }
+
+  const trimmedMessage = String(message).trim();
+  if (trimmedMessage.length > 20) {
+    const repeated = await Contact.exists({
+      messageHash: hashMessage(trimmedMessage),
+      createdAt: { $gte: new Date(now - REPEATED_MESSAGE_DAYS * 24 * 60 * 60 * 1000) },
+      email: { $ne: String(email).toLowerCase().trim() },
+    });
+    if (repeated) {
+      flag(30, 'message identical to an earlier submission');
+    }
+  }
+
+  return { score, reasons, isSpam: score >= SPAM_THRESHOLD };
+};
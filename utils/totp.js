@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30;
+const DEFAULT_DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+export const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+// RFC 4226 HOTP value for a counter
+export const generateHotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const timeStep = (time = Date.now(), step = DEFAULT_STEP) => {
+  return Math.floor(time / 1000 / step);
+};
+
+// `time` is a millisecond timestamp so callers (and tests) can pin the clock
+export const generateTotp = (secret, { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) => {
+  return generateHotp(secret, timeStep(time, step), digits);
+};
+
+// Returns the matching time step (allowing `window` steps of clock drift) or null
+export const verifyTotp = (
+  secret,
+  code,
+  { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS, window = 1 } = {}
+) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== digits) return null;
+
+  const current = timeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateHotp(secret, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = ({ secret, accountName, issuer = 'Kayease' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// One-time recovery codes in "xxxxx-xxxxx" form
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+export const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+};
@@ -0,0 +1,40 @@
+import { hashToken } from './auth.js';
+import { verifyTotp, generateRecoveryCodes, normalizeRecoveryCode } from './totp.js';
+
+export const TWO_FACTOR_SELECT = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+export const isTwoFactorRequired = (user) => Boolean(user.role?.requireTwoFactor);
+
+// Returns plain recovery codes for the user and stores only their hashes
+export const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Check a TOTP code or consume a recovery code. The user must be loaded with TWO_FACTOR_SELECT.
+// `time` lets callers pin the clock. Saves the user when state changes.
+export const verifySecondFactor = async (user, { code, recoveryCode }, { time = Date.now() } = {}) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code, { time });
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.twoFactor.recoveryCodes || [];
+    if (!remaining.includes(hash)) return false;
+
+    user.twoFactor.recoveryCodes = remaining.filter((item) => item !== hash);
+    await user.save();
+    return true;
+  }
+
+  return false;
+};